@@ -0,0 +1,1865 @@
+/* LLM Agent core — the agent loop, provider adapters and tools, without the DOM
+   - Agent: event-emitting loop (message, delta, tool-call-start/-end, usage, status, notice, error)
+   - Settings, fetch, tool approval and key lookup are injected, so it runs in the page, in Node 18+
+     and in tests:
+
+       const { Agent } = require('./agent-core.js');
+       const agent = new Agent({ settings: { provider: 'openai', apiKey, model: 'gpt-4o-mini' }, fetch });
+       agent.on('message', ({ message }) => console.log(message.role, message.content));
+       await agent.run('What is the capital of France?');
+
+   - In the page this file is loaded before agent.js, which renders the chat by subscribing to an Agent
+   - Tests (no dependencies): npm test
+*/
+
+"use strict";
+
+// -------- Shared helpers --------
+function isAbortError(err) { return err?.name === 'AbortError'; }
+
+// Result sent for tool calls that were stopped before they finished
+const CANCELLED_RESULT = { error: 'cancelled', detail: 'Stopped by the user before the tool finished.' };
+
+function toolStatus(result) {
+  if (result?.error === 'cancelled') return 'cancelled';
+  if (result?.error === 'denied' || result?.error === 'denied_by_user') return 'denied';
+  return result?.error ? 'error' : 'ok';
+}
+
+// js_exec handlers attach tables/charts/images under this key; they are kept on the tool message
+// (not sent to the model) so a UI can draw them
+const RICH_OUTPUTS = Symbol('richOutputs');
+
+// Replaces every occurrence of the given secrets in strings, arrays and plain objects with
+// "[redacted]"; pass longer secrets first so a key containing another is removed whole
+function redactSecrets(value, secrets) {
+  if (!secrets.length) return value;
+  if (typeof value === 'string') return secrets.reduce((text, secret) => text.split(secret).join('[redacted]'), value);
+  if (Array.isArray(value)) return value.map(v => redactSecrets(v, secrets));
+  if (value && Object.getPrototypeOf(value) === Object.prototype) {
+    return Object.fromEntries(Object.entries(value).map(([k, v]) => [k, redactSecrets(v, secrets)]));
+  }
+  return value;
+}
+
+function formatBytes(n) {
+  return n < 1024 ? `${n} B` : n < 1048576 ? `${(n / 1024).toFixed(1)} KB` : `${(n / 1048576).toFixed(1)} MB`;
+}
+
+// -------- Settings (defaults for anything the caller leaves out) --------
+const DEFAULT_SETTINGS = {
+  provider: 'openai',
+  apiKey: '',
+  model: 'gpt-4o-mini',
+  baseUrl: '',
+  maxTokens: 800,
+  temperature: 0.7,
+  systemPrompt: '',
+  stream: false,
+  maxTurns: 8,
+  retries: 2,
+  fallbacks: [],
+  fallbackKeys: {},
+  jsTimeoutMs: 10000,
+  jsMaxLogLines: 200,
+  jsMaxLogChars: 2000,
+  toolConcurrency: 4,
+  contextTokens: 16000,
+  toolResultMaxChars: 4000,
+  summarize: false,
+  summaryModel: null,
+  googleKey: '',
+  googleCx: '',
+  braveKey: '',
+  bingKey: '',
+  searxngUrl: '',
+  searchOrder: null, // null = DEFAULT_SEARCH_ORDER
+  searchCacheTtlMin: 0,
+  corsProxy: '',
+  fetchPageChars: 8000,
+  prices: null // USD per 1M tokens by model; null = DEFAULT_PRICES
+};
+
+// Returns a warning for a key that can't work, or '' when it looks usable
+function apiKeyProblem(provider, key) {
+  const trimmed = (key || '').trim();
+  if (provider === 'compatible') return ''; // local servers usually need no key
+  if (!trimmed) return 'Missing API key/token for ' + provider + '.';
+  if (provider === 'aipipe' && trimmed.length < 20) return 'AI Pipe token looks too short.';
+  return '';
+}
+
+// -------- Agent (conversation state + reasoning loop, reported through events) --------
+// Events: 'message' { message, index }, 'delta' { text, content }, 'tool-call-start' { call, args, edited },
+// 'tool-call-end' { call, message, result }, 'usage' { call, totals }, 'model' { provider, model, fallback },
+// 'status' { text }, 'notice' { level, text }, 'error' { error, text }. Texts are plain, not HTML.
+class Agent {
+  // settings: object or function returning one (read at every step, merged over DEFAULT_SETTINGS)
+  // fetch: fetch implementation for providers and tools
+  // approve(call, args, signal): resolves to { args, edited } to run the call or { result } to skip it
+  // resolveKey(provider, primary): fallback lookup when no key is configured; null = none (already reported)
+  // searchCache: { get(key), put(record) } for web_search results; omit to disable caching
+  constructor({ settings = {}, fetch: fetchImpl = globalThis.fetch, tools = toolRegistry, approve, resolveKey, searchCache, messages, tree, usage, files } = {}) {
+    this.settingsSource = settings;
+    this.fetch = (...a) => fetchImpl(...a);
+    this.tools = tools;
+    this.approve = approve || (async (call, args) => ({ args }));
+    this.keyLookup = resolveKey || null;
+    this.searchCache = searchCache || null;
+    this.listeners = new Map();
+    this.abort = null;
+    this.target = null;
+    this.answeredBy = null;
+    this.fallbackTarget = null; // fallback that answered during this run; later turns start there
+    this.usedKeys = new Set(); // keys from the resolveKey hook, redacted like configured ones
+    this.reset({ messages, tree, usage, files });
+  }
+
+  // Replaces the conversation (e.g. when switching sessions); sources are rebuilt from tool results.
+  // `tree` is a saved ConversationTree; without one, `messages` becomes a single branch.
+  reset({ messages = [], tree = null, usage = emptyUsage(), files = [] } = {}) {
+    this.tree = tree?.nodes ? new ConversationTree(tree) : ConversationTree.fromMessages(messages);
+    this.messages = this.tree.messages();
+    this.usage = usage;
+    this.sources = collectSources(this.tree.allMessages());
+    this.files = new Map((files instanceof Map ? [...files.values()] : files).map(f => [f.name, f]));
+    this.contextSummary = null;
+    this.fetchedPages = new Map(); // fetch_url: url -> converted document, so paging doesn't refetch
+  }
+
+  get running() { return !!this.abort; }
+  get signal() { return this.abort?.signal; }
+
+  settings() {
+    const s = { ...DEFAULT_SETTINGS, ...(typeof this.settingsSource === 'function' ? this.settingsSource() : this.settingsSource) };
+    // A run pinned to one model (regenerate with another model) uses that provider's key and no fallbacks
+    const t = this.target;
+    if (!t) return s;
+    return { ...s, provider: t.provider, model: t.model, apiKey: t.provider === s.provider ? s.apiKey : (s.fallbackKeys[t.provider] || ''), fallbacks: [] };
+  }
+
+  // Configured and resolved keys, longest first; too-short values are skipped (no real key is that short)
+  secrets() {
+    const s = this.settings();
+    const all = [s.apiKey, s.googleKey, s.braveKey, s.bingKey, ...Object.values(s.fallbackKeys || {}), ...this.usedKeys];
+    return [...new Set(all.filter(k => typeof k === 'string' && k.length >= 8))].sort((a, b) => b.length - a.length);
+  }
+
+  redact(value) { return redactSecrets(value, this.secrets()); }
+
+  // Returns a function that removes the listener
+  on(event, fn) {
+    if (!this.listeners.has(event)) this.listeners.set(event, new Set());
+    this.listeners.get(event).add(fn);
+    return () => this.off(event, fn);
+  }
+
+  off(event, fn) { this.listeners.get(event)?.delete(fn); }
+
+  emit(event, payload) {
+    for (const fn of this.listeners.get(event) || []) {
+      try { fn(payload); } catch (err) { console.error(`Agent "${event}" listener failed:`, err); }
+    }
+  }
+
+  pushMessage(message) {
+    this.tree.append(message);
+    this.messages.push(message);
+    this.emit('message', { message, index: this.messages.length - 1 });
+  }
+
+  stop() { this.abort?.abort(); }
+
+  // -------- Branches --------
+  // Edit: branchAt(i) on a user message, then run(newText). Regenerate: branchAt(i) on the first
+  // reply after a user message, then run() — optionally with { provider, model } to compare models.
+  branchAt(index) {
+    if (this.running) throw new Error('Agent is running');
+    this.tree.branchAt(index);
+    this.messages = this.tree.messages();
+  }
+
+  // Goes back to the branch that was showing before branchAt, if the new one got no messages
+  cancelBranch() {
+    const restored = this.tree.cancelBranch();
+    this.messages = this.tree.messages();
+    return restored;
+  }
+
+  switchBranch(index, delta) {
+    if (this.running || !this.tree.switchSibling(index, delta)) return false;
+    this.messages = this.tree.messages();
+    return true;
+  }
+
+  branchInfo(index) { return this.tree.siblings(index); }
+
+  // Adds the user's message (if any) and loops (model -> tools -> model) until the model answers
+  // without tool calls; `target` ({ provider, model }) pins the run to one model. Failures during
+  // the run are 'error' events, not rejections. Resolves to { stopped, restored }; restored means
+  // the branch started by branchAt got no messages and the previous one is showing again.
+  async run(userText, target = null) {
+    if (this.running) throw new Error('Agent is already running');
+    this.abort = new AbortController();
+    this.target = target;
+    this.fallbackTarget = null;
+    const { signal } = this.abort;
+    let restored = false;
+    if (userText != null) this.pushMessage({ role: 'user', content: String(userText) });
+
+    try {
+      let turns = 0;
+      while (turns++ < this.settings().maxTurns && !signal.aborted) {
+        let streamed = '';
+        const onDelta = (text) => {
+          streamed += text;
+          this.emit('delta', { text, content: streamed });
+        };
+
+        const tools = getToolSchemas(this.tools);
+        const context = await prepareContext(this, tools, signal);
+        const resp = await this.callLLM(context, tools, onDelta);
+        if (!resp) {
+          // Keep whatever was streamed before Stop or a provider error so the history matches
+          // what was shown; an answer cut off by an error is marked incomplete
+          if (streamed) this.pushMessage(signal.aborted ? { role: 'assistant', content: streamed } : { role: 'assistant', content: streamed, incomplete: true });
+          break;
+        }
+
+        const msg = getAssistantMessage(resp);
+
+        // Only include tool_calls when non-empty
+        const toolCalls = Array.isArray(msg?.tool_calls) ? msg.tool_calls.filter(Boolean) : [];
+        const assistantMsg = {
+          role: 'assistant',
+          content: msg?.content || '',
+          model: this.answeredBy // which provider/model answered (after fallbacks), to tell branches apart
+        };
+        if (toolCalls.length > 0) assistantMsg.tool_calls = toolCalls;
+        // Kept on the message so exported conversations carry the sources behind the answer
+        const cited = extractCitations(assistantMsg.content, this.sources);
+        if (cited.length) assistantMsg.citations = cited.map(id => this.sources.get(id));
+        this.pushMessage(assistantMsg);
+
+        // Execute tool calls
+        if (toolCalls.length === 0) break;
+
+        // Calls run concurrently (bounded by settings); results keep the call order
+        const { toolConcurrency } = this.settings();
+        const toolMessages = await mapWithConcurrency(toolCalls, toolConcurrency, (tc) =>
+          this.runToolCall(tc, signal).catch(e => this.toolResultMessage(tc, { error: String(e?.message || e) }, Date.now()))
+        );
+        // Push tool results in the original order, each with its matching tool_call_id
+        for (const m of toolMessages) this.pushMessage(m);
+        // Loop so the LLM can consume tool results
+      }
+    } catch (err) {
+      if (!isAbortError(err)) this.emit('error', { error: err, text: this.redact('Agent loop error: ' + (err?.message || String(err))) });
+    } finally {
+      this.abort = null;
+      this.target = null;
+      this.fallbackTarget = null;
+      restored = this.cancelBranch();
+    }
+    return { stopped: signal.aborted, restored };
+  }
+
+  // Runs one tool call (validation -> approval -> execution) and returns its tool message
+  async runToolCall(tc, signal) {
+    const { args, error: argsError } = checkToolArguments(tc, this.tools);
+    let started = Date.now();
+
+    // Every tool_call still gets a result after Stop, so the history stays valid;
+    // invalid arguments and denied calls go back to the model instead of running the tool
+    let result = CANCELLED_RESULT;
+    if (argsError && !signal.aborted) result = argsError;
+    else if (!signal.aborted) {
+      const gate = await this.approve(tc, args, signal);
+      if (gate.result) result = gate.result;
+      else {
+        // Record the arguments that actually ran in the assistant's tool_calls
+        if (gate.edited) tc.function.arguments = JSON.stringify(gate.args);
+        this.emit('tool-call-start', { call: tc, args: gate.args, edited: !!gate.edited });
+        started = Date.now();
+        result = await this.executeTool(tc.function.name, gate.args, signal).catch(e => ({ error: String(e) }));
+      }
+      if (signal.aborted) result = CANCELLED_RESULT;
+    }
+    return this.toolResultMessage(tc, result, started);
+  }
+
+  toolResultMessage(tc, result, started) {
+    // Keys never reach the model, the trace or saved sessions through a tool result
+    const outputs = result?.[RICH_OUTPUTS];
+    result = this.redact(result);
+    const meta = { status: toolStatus(result), durationMs: Date.now() - started };
+    const msg = {
+      role: 'tool',
+      tool_call_id: tc.id || undefined,
+      name: tc.function.name,
+      content: JSON.stringify(result),
+      meta
+    };
+    // Tables/charts/images stay with the message (not sent to the model) so reloads can draw them again
+    if (outputs) msg.outputs = outputs;
+    this.emit('tool-call-end', { call: tc, message: msg, result });
+    return msg;
+  }
+
+  async executeTool(name, args, signal = this.signal) {
+    const tool = this.tools.get(name);
+    if (!tool) return { error: 'Unknown tool: ' + name };
+    if (!tool.enabled) return { error: 'Tool is disabled: ' + name };
+    return await tool.handler(args, { agent: this, settings: this.settings(), fetch: this.fetch, signal });
+  }
+
+  // -------- LLM call dispatcher --------
+  // Tries the selected provider/model, then each fallback in order. Every target gets
+  // retries with backoff for 429/5xx/network errors; nothing is retried once text has streamed.
+  async callLLM(messages, tools, onDelta) {
+    const { provider, apiKey, model, baseUrl, maxTokens, temperature, systemPrompt, stream, retries, fallbacks, fallbackKeys } = this.settings();
+    const io = { fetch: this.fetch, signal: this.signal, baseUrl };
+    this.answeredBy = null;
+    let streamed = false;
+    const delta = (stream && typeof onDelta === 'function') ? (t) => { streamed = true; onDelta(t); } : null;
+
+    // The system prompt leads the history; each adapter maps it to its own field
+    const system = buildSystemPrompt(systemPrompt, tools, this.files);
+    if (system) messages = [{ role: 'system', content: system }, ...messages];
+
+    const targets = [{ provider, model, apiKey }, ...fallbacks.map(f => ({ ...f, apiKey: f.provider === provider ? apiKey : (fallbackKeys[f.provider] || '') }))];
+    // Once a fallback has answered, the rest of the run stays on it instead of retrying the
+    // failing primary every turn (later fallbacks are still tried if it fails too)
+    const sticky = this.fallbackTarget;
+    const from = sticky ? Math.max(0, targets.findIndex((t, i) => i > 0 && t.provider === sticky.provider && t.model === sticky.model)) : 0;
+    for (const [i, target] of targets.entries()) {
+      if (i < from) continue;
+      const isFallback = i > 0;
+      const key = await this.resolveKey(target.provider, target.apiKey, !isFallback);
+      // A target without a usable key is skipped (resolveKey has already said why for the
+      // primary); the fallbacks may have keys of their own
+      if (key == null) {
+        if (isFallback) this.emit('notice', { level: 'warning', text: `Skipping fallback ${target.provider} · ${target.model}: no API key.` });
+        else if (i < targets.length - 1) this.emit('notice', { level: 'info', text: `No usable API key for ${target.provider} · ${target.model}; trying the fallbacks.` });
+        continue;
+      }
+      if (isFallback && i !== from) this.emit('notice', { level: 'info', text: `Switching to fallback ${target.provider} · ${target.model}.` });
+      this.emit('model', { provider: target.provider, model: target.model, fallback: isFallback });
+
+      try {
+        const resp = await withRetry(
+          () => callProvider(target.provider, key, target.model, messages, maxTokens, temperature, tools, delta, io),
+          {
+            retries,
+            signal: io.signal,
+            canRetry: () => !streamed,
+            onRetry: (attempt, delayMs, err) => this.emit('status', { text: `${target.provider} ${err.status || 'network error'} — retry ${attempt}/${retries} in ${(delayMs / 1000).toFixed(1)}s…` })
+          }
+        );
+        this.recordUsage({ provider: target.provider, model: target.model, source: 'chat', usage: getUsage(resp) });
+        this.answeredBy = { provider: target.provider, model: target.model };
+        if (isFallback) this.fallbackTarget = this.answeredBy;
+        return resp;
+      } catch (err) {
+        if (isAbortError(err)) return null;
+        this.emit('error', { error: err, text: this.redact(`${target.provider} error: ` + (err?.message || String(err))) });
+        if (streamed) return null; // partial text was already streamed; don't mix in another model's answer
+      } finally {
+        this.emit('status', { text: 'Thinking…' });
+      }
+    }
+    return null;
+  }
+
+  // Returns a usable key or null (after a 'notice'); '' for OpenAI-compatible servers without a key.
+  // With no key configured, asks the injected resolveKey hook (the page uses it for AI Pipe login).
+  async resolveKey(provider, apiKey, primary) {
+    let key = apiKey;
+    if (!key && this.keyLookup) {
+      key = await this.keyLookup(provider, primary);
+      if (key == null && provider !== 'compatible') return null;
+    }
+    if (provider === 'compatible') return key || '';
+    if (!key && !primary) return null;
+    const problem = apiKeyProblem(provider, key);
+    if (problem) {
+      this.emit('notice', { level: 'warning', text: problem });
+      return null;
+    }
+    if (key !== apiKey) this.usedKeys.add(key);
+    return key;
+  }
+
+  // source: 'chat' or the tool name that made a sub-call; turn = index of the user message
+  recordUsage({ provider, model, source, usage }) {
+    if (!usage) return;
+    const cost = priceFor(model, usage, this.settings().prices || DEFAULT_PRICES);
+    const call = { at: Date.now(), turn: this.lastUserIndex(), provider, model, source, ...usage, cost };
+    this.usage.calls.push(call);
+    const t = this.usage.totals;
+    t.inputTokens += usage.inputTokens;
+    t.outputTokens += usage.outputTokens;
+    if (cost == null) t.unpriced++; else t.cost += cost;
+    this.emit('usage', { call, totals: t });
+  }
+
+  lastUserIndex() {
+    for (let i = this.messages.length - 1; i >= 0; i--) if (this.messages[i].role === 'user') return i;
+    return -1;
+  }
+}
+
+// Like Promise.all over items.map(fn), with at most `limit` calls in flight
+async function mapWithConcurrency(items, limit, fn) {
+  const results = new Array(items.length);
+  let next = 0;
+  const worker = async () => {
+    while (next < items.length) {
+      const i = next++;
+      results[i] = await fn(items[i], i);
+    }
+  };
+  await Promise.all(Array.from({ length: Math.max(1, Math.min(limit || 1, items.length)) }, worker));
+  return results;
+}
+
+// The system prompt plus app notes: citation rules when search tools are on, attached files
+function buildSystemPrompt(systemPrompt, tools, files) {
+  const cite = tools?.some(t => CITED_TOOLS.has(t.function?.name)) ? CITATION_INSTRUCTIONS : '';
+  return [systemPrompt, cite, filesNote(files)].filter(Boolean).join('\n\n');
+}
+
+// Temperature range each provider accepts (Anthropic rejects anything above 1 with a 400)
+const TEMPERATURE_RANGES = { anthropic: [0, 1] };
+function clampTemperature(t, provider) {
+  const [min, max] = TEMPERATURE_RANGES[provider] || [0, 2];
+  return Number.isFinite(t) ? Math.min(max, Math.max(min, t)) : Math.min(max, 0.7);
+}
+
+// The temperature is clamped here so presets, fallbacks and regenerate-with-model all stay in range
+function callProvider(provider, key, model, messages, maxTokens, temperature, tools, delta, io) {
+  temperature = clampTemperature(temperature, provider);
+  if (provider === 'openai')    return callOpenAI(key, model, messages, maxTokens, temperature, tools, delta, io);
+  if (provider === 'aipipe')    return callAIPipe(key, model, messages, maxTokens, temperature, tools, delta, io);
+  if (provider === 'gemini')    return callGemini(key, model, messages, maxTokens, temperature, tools, delta, io);
+  if (provider === 'anthropic') return callAnthropic(key, model, messages, maxTokens, temperature, tools, delta, io);
+  if (provider === 'compatible') return callCompatible(key, model, messages, maxTokens, temperature, tools, delta, io);
+  throw new Error('Unsupported provider: ' + provider);
+}
+
+// -------- Conversation tree (branches from edits and regenerations) --------
+// Every message is a node; a node's children are alternative continuations and `active` picks
+// the one on the current path. agent.messages is always that path, root to leaf.
+// Stored as { nodes: [{ id, parent, message, active }] } with parents before their children.
+class ConversationTree {
+  constructor({ nodes = [] } = {}) {
+    this.nodes = new Map([[0, { id: 0, parent: null, message: null, children: [], active: null }]]);
+    this.nextId = 1;
+    this.pending = null; // branch point waiting for its first message (see branchAt)
+    for (const n of nodes) {
+      if (n.id === 0) { this.nodes.get(0).active = n.active ?? null; continue; }
+      const parent = this.nodes.get(n.parent);
+      if (!parent || !n.message || this.nodes.has(n.id)) continue;
+      this.nodes.set(n.id, { id: n.id, parent: parent.id, message: n.message, children: [], active: n.active ?? null });
+      parent.children.push(n.id);
+      this.nextId = Math.max(this.nextId, n.id + 1);
+    }
+    // Drop active links that point nowhere (e.g. a hand-edited export)
+    for (const node of this.nodes.values()) if (!node.children.includes(node.active)) node.active = node.children.at(-1) ?? null;
+  }
+
+  static fromMessages(messages = []) {
+    const tree = new ConversationTree();
+    for (const m of messages) tree.append(m);
+    return tree;
+  }
+
+  path() {
+    const out = [];
+    for (let node = this.nodes.get(0); node.active != null;) {
+      node = this.nodes.get(node.active);
+      out.push(node);
+    }
+    return out;
+  }
+
+  messages() { return this.path().map(n => n.message); }
+
+  // Every message on every branch (sources are numbered across the whole tree)
+  allMessages() { return [...this.nodes.values()].filter(n => n.message).map(n => n.message); }
+
+  append(message) {
+    const path = this.path();
+    const parent = path.at(-1) || this.nodes.get(0);
+    const node = { id: this.nextId++, parent: parent.id, message, children: [], active: null };
+    this.nodes.set(node.id, node);
+    parent.children.push(node.id);
+    parent.active = node.id;
+    this.pending = null;
+    return node;
+  }
+
+  // Cuts the active path before path[index]; the next appended message becomes a sibling of it.
+  // The old branch stays in the tree and is restored by cancelBranch() if nothing gets appended.
+  branchAt(index) {
+    const node = this.path()[index];
+    if (!node) return;
+    const parent = this.nodes.get(node.parent);
+    this.pending = { parent, active: parent.active };
+    parent.active = null;
+  }
+
+  cancelBranch() {
+    const restore = !!this.pending && this.pending.parent.active == null;
+    if (restore) this.pending.parent.active = this.pending.active;
+    this.pending = null;
+    return restore;
+  }
+
+  // { position, count } of path[index] among its siblings (1-based position)
+  siblings(index) {
+    const node = this.path()[index];
+    if (!node) return { position: 0, count: 0 };
+    const { children } = this.nodes.get(node.parent);
+    return { position: children.indexOf(node.id) + 1, count: children.length };
+  }
+
+  // Shows the previous (-1) or next (+1) sibling of path[index], with the branch below it as last seen
+  switchSibling(index, delta) {
+    const node = this.path()[index];
+    if (!node) return false;
+    const parent = this.nodes.get(node.parent);
+    const next = parent.children[parent.children.indexOf(node.id) + delta];
+    if (next == null) return false;
+    parent.active = next;
+    return true;
+  }
+
+  // The messages of each sibling branch of path[index], up to (not including) the next user message
+  alternatives(index) {
+    const node = this.path()[index];
+    if (!node) return [];
+    return this.nodes.get(node.parent).children.map((id) => {
+      const messages = [];
+      for (let n = this.nodes.get(id); n && (n.id === id || n.message.role !== 'user'); n = this.nodes.get(n.active)) {
+        messages.push(n.message);
+      }
+      return { id, messages, active: id === node.id };
+    });
+  }
+
+  toJSON() {
+    return { nodes: [...this.nodes.values()].map(({ id, parent, message, active }) => ({ id, parent, message, active })) };
+  }
+}
+
+// -------- Context window (token budget, tool-output truncation, summaries) --------
+// Rough estimate (~4 characters per token) — good enough to stay under provider limits
+// without shipping a tokenizer per model family.
+const CHARS_PER_TOKEN = 4;
+const MESSAGE_OVERHEAD_TOKENS = 4;
+const SUMMARY_MAX_TOKENS = 400;
+const MIN_TOOL_RESULT_CHARS = 200;
+const TRUNCATION_NOTE_TOKENS = 20;
+
+function estimateTokens(value) {
+  const text = typeof value === 'string' ? value : JSON.stringify(value ?? '');
+  return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+function messageTokens(m) {
+  return MESSAGE_OVERHEAD_TOKENS + estimateTokens(contentText(m.content)) + (m.tool_calls ? estimateTokens(m.tool_calls) : 0);
+}
+
+// Copy of a tool message whose content is cut to maxChars (the stored history keeps the full result)
+function truncateToolMessage(m, maxChars) {
+  const text = contentText(m.content);
+  if (m.role !== 'tool' || text.length <= maxChars) return m;
+  return { ...m, content: text.slice(0, maxChars) + `\n…[truncated ${text.length - maxChars} characters to fit the context window]` };
+}
+
+// Copy of a unit whose tool results are cut to share `budget` tokens (never below
+// MIN_TOOL_RESULT_CHARS each, so the result may still not fit)
+function shrinkUnit(unit, budget) {
+  const results = unit.messages.filter(m => m.role === 'tool');
+  if (!results.length) return unit;
+  const fixed = unit.messages.filter(m => m.role !== 'tool').reduce((n, m) => n + messageTokens(m), 0)
+    + results.length * (MESSAGE_OVERHEAD_TOKENS + TRUNCATION_NOTE_TOKENS);
+  const maxChars = Math.max(MIN_TOOL_RESULT_CHARS, Math.floor((budget - fixed) * CHARS_PER_TOKEN / results.length));
+  const messages = unit.messages.map(m => truncateToolMessage(m, maxChars));
+  return { ...unit, messages, tokens: messages.reduce((n, m) => n + messageTokens(m), 0) };
+}
+
+// Splits history into units that are kept or dropped together: an assistant message with
+// tool_calls plus the tool results that answer it, or any other single message.
+function contextUnits(messages) {
+  const units = [];
+  for (let i = 0; i < messages.length; i++) {
+    const start = i;
+    if (messages[i].role === 'assistant' && messages[i].tool_calls?.length) {
+      while (messages[i + 1]?.role === 'tool') i++;
+    }
+    const slice = messages.slice(start, i + 1);
+    units.push({ start, end: i + 1, messages: slice, tokens: slice.reduce((n, m) => n + messageTokens(m), 0) });
+  }
+  return units;
+}
+
+// Picks the units to send: the latest user message and the newest unit are always kept (the
+// newest one shrunk to fit if needed: it holds this turn's tool results, and without them the
+// model repeats the same calls), then the units between them, then whole earlier turns
+// (starting at a user message) while they fit the budget. May replace units[last].
+function fitUnitsToBudget(units, budget) {
+  let pin = units.length - 1;
+  while (pin > 0 && units[pin].messages[0].role !== 'user') pin--;
+  if (pin < 0) return [];
+  const keep = new Set([pin]);
+  let used = units[pin].tokens;
+  const last = units.length - 1;
+  if (last > pin) {
+    if (used + units[last].tokens > budget) units[last] = shrinkUnit(units[last], budget - used);
+    keep.add(last);
+    used += units[last].tokens;
+  }
+  for (let i = last - 1; i > pin && used + units[i].tokens <= budget; i--) { keep.add(i); used += units[i].tokens; }
+
+  let first = pin;
+  for (let i = pin - 1; i >= 0 && used + units[i].tokens <= budget; i--) { used += units[i].tokens; first = i; }
+  while (first < pin && units[first].messages[0].role !== 'user') first++;
+  for (let i = first; i < pin; i++) keep.add(i);
+  return [...keep].sort((a, b) => a - b);
+}
+
+// Returns the message list to send this turn. Oversized tool outputs are truncated; if the
+// history still exceeds the budget, older turns are dropped and (optionally) summarized.
+async function prepareContext(agent, tools, signal) {
+  const { contextTokens, toolResultMaxChars, summarize, maxTokens, systemPrompt } = agent.settings();
+  const { messages } = agent;
+  const trimmed = messages.map(m => truncateToolMessage(m, toolResultMaxChars));
+  const budget = contextTokens - maxTokens - estimateTokens(buildSystemPrompt(systemPrompt, tools, agent.files)) - (tools?.length ? estimateTokens(tools) : 0);
+  const total = trimmed.reduce((n, m) => n + messageTokens(m), 0);
+  if (total <= budget) return trimmed;
+
+  const units = contextUnits(trimmed);
+  const kept = fitUnitsToBudget(units, budget - SUMMARY_MAX_TOKENS);
+  const firstKept = kept.length ? units[kept[0]].start : trimmed.length;
+  const context = kept.flatMap(i => units[i].messages);
+  const used = context.reduce((n, m) => n + messageTokens(m), 0);
+  if (used > budget - SUMMARY_MAX_TOKENS) {
+    agent.emit('notice', { level: 'warning', text: `The current turn needs about ${used} tokens but the context budget leaves ${Math.max(0, budget - SUMMARY_MAX_TOKENS)}; raise the context window setting or shorten the message.` });
+  }
+
+  let summary = null;
+  if (summarize && firstKept > 0) summary = await summarizeHistory(agent, firstKept, signal);
+  const note = summary
+    ? 'Summary of the earlier conversation (older messages were removed to fit the context window):\n' + summary
+    : 'Earlier messages were removed to fit the context window.';
+  return [{ role: 'system', content: note }, ...context];
+}
+
+// Summarizes messages[0, upTo) with one small call, extending the previous summary when the
+// dropped prefix has only grown since (same history, later cut point).
+async function summarizeHistory(agent, upTo, signal) {
+  const { messages } = agent;
+  const cached = agent.contextSummary;
+  if (cached && cached.upTo === upTo && cached.last === messages[upTo - 1]) return cached.text;
+  const extend = cached && cached.upTo < upTo && cached.last === messages[cached.upTo - 1];
+  const from = extend ? cached.upTo : 0;
+
+  const transcript = messages.slice(from, upTo).map(m => {
+    const calls = (m.tool_calls || []).map(tc => ` [calls ${tc.function?.name}(${contentText(tc.function?.arguments)})]`).join('');
+    return `${m.role}${m.name ? ' (' + m.name + ')' : ''}: ${contentText(m.content).slice(0, 2000)}${calls}`;
+  }).join('\n');
+  const prompt = (extend ? `Existing summary:\n${cached.text}\n\nNew messages:\n` : 'Conversation:\n') + transcript;
+
+  agent.emit('status', { text: 'Summarizing earlier messages…' });
+  try {
+    const text = await callSummaryModel(agent, prompt, signal);
+    if (!text) return extend ? cached.text : null;
+    agent.contextSummary = { upTo, last: messages[upTo - 1], text };
+    return text;
+  } catch (err) {
+    if (isAbortError(err)) throw err;
+    agent.emit('notice', { level: 'warning', text: 'Could not summarize earlier messages: ' + (err?.message || String(err)) });
+    return extend ? cached.text : null;
+  } finally {
+    agent.emit('status', { text: 'Thinking…' });
+  }
+}
+
+// Uses the "Summary model" setting (provider:model), else the chat model, with no tools
+async function callSummaryModel(agent, prompt, signal) {
+  const { provider, apiKey, model, baseUrl, summaryModel, fallbackKeys, retries } = agent.settings();
+  const target = summaryModel || { provider, model };
+  const key = await agent.resolveKey(target.provider, target.provider === provider ? apiKey : (fallbackKeys[target.provider] || ''), false);
+  if (key == null) throw new Error(`no API key for ${target.provider}`);
+  const messages = [
+    { role: 'system', content: 'Summarize the conversation below for an assistant that will continue it. Keep the user\'s goals, decisions, facts and figures found with tools, and open questions. Be concise; use bullet points.' },
+    { role: 'user', content: prompt }
+  ];
+  const resp = await withRetry(() => callProvider(target.provider, key, target.model, messages, SUMMARY_MAX_TOKENS, 0.2, [], null, { fetch: agent.fetch, signal, baseUrl }), { retries, signal });
+  agent.recordUsage({ provider: target.provider, model: target.model, source: 'summary', usage: getUsage(resp) });
+  return (getAssistantMessage(resp)?.content || '').trim();
+}
+
+// -------- Built-in tool schemas (OpenAI-style) --------
+const BUILTIN_TOOLS = [
+  {
+    type: "function",
+    function: {
+      name: "web_search",
+      description: "Search the web for top snippets, merged from the configured backends (Google CSE, Brave, Bing, SearXNG, DuckDuckGo, Wikipedia).",
+      parameters: {
+        type: "object",
+        properties: {
+          q:   { type: "string",  description: "Search query" },
+          num: { type: "integer", description: "Number of results", default: 3, minimum: 1, maximum: 10 }
+        },
+        required: ["q"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "fetch_url",
+      description: "Fetch a web page and return its readable main text as Markdown (with title, headings, links and source metadata). Long pages are split into pages; request page N to continue.",
+      parameters: {
+        type: "object",
+        properties: {
+          url:  { type: "string",  description: "Absolute http(s) URL, e.g. a link from web_search" },
+          page: { type: "integer", description: "Page of the extracted text to return", default: 1, minimum: 1 }
+        },
+        required: ["url"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "list_files",
+      description: "List the files the user attached to this conversation (name, type, size, line count).",
+      parameters: { type: "object", properties: {} }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "read_file",
+      description: "Read an attached file's text. Long files are split into pages; request page N to continue. For computing over data, prefer js_exec with the `files` object.",
+      parameters: {
+        type: "object",
+        properties: {
+          name: { type: "string",  description: "File name as listed by list_files" },
+          page: { type: "integer", description: "Page of the file to return", default: 1, minimum: 1 }
+        },
+        required: ["name"]
+      }
+    }
+  },
+  {
+    type: "function",
+    function: {
+      name: "aipipe_proxy",
+      description: "Call AI Pipe OpenRouter-compatible chat endpoint to get a short completion.",
+      parameters: {
+        type: "object",
+        properties: {
+          prompt:     { type: "string" },
+          model:      { type: "string", description: "Model on AI Pipe", default: "openai/gpt-4o-mini" },
+          max_tokens: { type: "integer", default: 200 }
+        },
+        required: ["prompt"]
+      }
+    }
+  }
+];
+
+// -------- Tool registry --------
+// Agents get their schemas and handlers from here (or from their own Map of the same shape).
+// Handlers are called as handler(args, { agent, settings, fetch, signal }). Built-ins are
+// registered below; the page adds js_exec and the user-defined HTTP/JS tools.
+const toolRegistry = new Map();
+const TOOL_NAME_RE = /^[A-Za-z0-9_-]{1,64}$/;
+
+function registerTool({ name, description = '', parameters = { type: 'object', properties: {} }, handler, enabled = true, source = 'custom' }) {
+  if (!TOOL_NAME_RE.test(name || '')) throw new Error(`Invalid tool name: ${name}`);
+  if (typeof handler !== 'function') throw new Error(`Tool ${name} needs a handler function`);
+  toolRegistry.set(name, { name, description, parameters, handler, enabled: !!enabled, source });
+}
+
+function unregisterTool(name) { return toolRegistry.delete(name); }
+
+function getToolSchemas(registry = toolRegistry) {
+  return [...registry.values()].filter(t => t.enabled).map(t => ({
+    type: 'function',
+    function: { name: t.name, description: t.description, parameters: t.parameters }
+  }));
+}
+
+const BUILTIN_HANDLERS = {
+  web_search:   async (args, ctx) => assignSourceIds(ctx.agent.sources, 'web_search', await toolWebSearch(args, ctx)),
+  fetch_url:    async (args, ctx) => assignSourceIds(ctx.agent.sources, 'fetch_url', await toolFetchUrl(args, ctx)),
+  list_files:   (args, ctx) => toolListFiles(args, ctx),
+  read_file:    (args, ctx) => toolReadFile(args, ctx),
+  aipipe_proxy: (args, ctx) => toolAIPipeProxy(args, ctx)
+};
+for (const { function: fn } of BUILTIN_TOOLS) {
+  registerTool({ ...fn, handler: BUILTIN_HANDLERS[fn.name], source: 'builtin' });
+}
+
+// -------- JSON Schema validation (tool arguments) --------
+// Covers the subset tool schemas use: type, properties, required, default, enum, const,
+// minimum/maximum (+exclusive), minLength/maxLength, pattern, items, minItems/maxItems,
+// additionalProperties: false. Simple scalars are coerced ("5" -> 5, "true" -> true, 5 -> "5").
+function typeOfJson(v) {
+  if (v === null) return 'null';
+  if (Array.isArray(v)) return 'array';
+  if (typeof v === 'number') return Number.isInteger(v) ? 'integer' : 'number';
+  return typeof v;
+}
+
+function coerceToType(v, type) {
+  const t = typeOfJson(v);
+  if (t === type || (type === 'number' && t === 'integer')) return { ok: true, value: v };
+  if ((type === 'number' || type === 'integer') && t === 'string' && v.trim() !== '' && !isNaN(Number(v))) {
+    const n = Number(v);
+    if (type === 'number' || Number.isInteger(n)) return { ok: true, value: n };
+  }
+  if (type === 'boolean' && t === 'string' && /^(true|false)$/i.test(v.trim())) return { ok: true, value: v.trim().toLowerCase() === 'true' };
+  if (type === 'string' && (t === 'number' || t === 'integer' || t === 'boolean')) return { ok: true, value: String(v) };
+  if (type === 'array' && t !== 'array' && t !== 'object' && t !== 'null') return { ok: true, value: [v] };
+  return { ok: false };
+}
+
+function validateSchema(schema, value, path = '$', errors = []) {
+  if (!schema || typeof schema !== 'object') return { value, errors };
+  const fail = (message) => { errors.push({ path, message }); return { value, errors }; };
+
+  if (value === undefined && schema.default !== undefined) value = structuredClone(schema.default);
+  if (value === undefined) return { value, errors }; // absence is checked by the parent's `required`
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    let coerced = null;
+    for (const t of types) { const c = coerceToType(value, t); if (c.ok) { coerced = c; break; } }
+    if (!coerced) return fail(`expected ${types.join(' or ')}, got ${typeOfJson(value)}`);
+    value = coerced.value;
+  }
+
+  if (schema.const !== undefined && JSON.stringify(value) !== JSON.stringify(schema.const)) return fail(`must equal ${JSON.stringify(schema.const)}`);
+  if (Array.isArray(schema.enum) && !schema.enum.some(e => JSON.stringify(e) === JSON.stringify(value))) {
+    return fail(`must be one of ${schema.enum.map(e => JSON.stringify(e)).join(', ')}`);
+  }
+
+  const t = typeOfJson(value);
+  if (t === 'number' || t === 'integer') {
+    if (schema.minimum != null && value < schema.minimum) fail(`must be >= ${schema.minimum}`);
+    if (schema.maximum != null && value > schema.maximum) fail(`must be <= ${schema.maximum}`);
+    if (typeof schema.exclusiveMinimum === 'number' && value <= schema.exclusiveMinimum) fail(`must be > ${schema.exclusiveMinimum}`);
+    if (typeof schema.exclusiveMaximum === 'number' && value >= schema.exclusiveMaximum) fail(`must be < ${schema.exclusiveMaximum}`);
+  } else if (t === 'string') {
+    if (schema.minLength != null && value.length < schema.minLength) fail(`must be at least ${schema.minLength} characters`);
+    if (schema.maxLength != null && value.length > schema.maxLength) fail(`must be at most ${schema.maxLength} characters`);
+    if (schema.pattern) {
+      let re = null;
+      try { re = new RegExp(schema.pattern); } catch {}
+      if (re && !re.test(value)) fail(`must match /${schema.pattern}/`);
+    }
+  } else if (t === 'array') {
+    if (schema.minItems != null && value.length < schema.minItems) fail(`must have at least ${schema.minItems} items`);
+    if (schema.maxItems != null && value.length > schema.maxItems) fail(`must have at most ${schema.maxItems} items`);
+    if (schema.items && typeof schema.items === 'object') {
+      value = value.map((item, i) => validateSchema(schema.items, item, `${path}[${i}]`, errors).value);
+    }
+  } else if (t === 'object') {
+    const props = schema.properties || {};
+    const out = { ...value };
+    for (const [key, sub] of Object.entries(props)) {
+      const v = validateSchema(sub, out[key], `${path}.${key}`, errors).value;
+      if (v !== undefined) out[key] = v;
+    }
+    for (const key of schema.required || []) {
+      if (out[key] === undefined) errors.push({ path: `${path}.${key}`, message: 'is required' });
+    }
+    if (schema.additionalProperties === false) {
+      for (const key of Object.keys(out)) {
+        if (!(key in props)) errors.push({ path: `${path}.${key}`, message: 'is not an allowed property' });
+      }
+    }
+    value = out;
+  }
+  return { value, errors };
+}
+
+// Parses and validates a tool call against its registered schema.
+// Returns { args } on success or { args, error } with a structured result for the model.
+function checkToolArguments(tc, registry = toolRegistry) {
+  const name = tc.function?.name;
+  let raw;
+  try {
+    const a = tc.function?.arguments;
+    raw = typeof a === 'string' ? (a.trim() ? JSON.parse(a) : {}) : (a || {});
+  } catch (err) {
+    return { args: {}, error: invalidArgumentsResult(name, [{ path: '$', message: 'arguments are not valid JSON: ' + err.message }]) };
+  }
+  const tool = registry.get(name);
+  if (!tool) return { args: raw }; // executeTool reports unknown tools
+  const { value, errors } = validateSchema(tool.parameters, raw);
+  return errors.length ? { args: raw, error: invalidArgumentsResult(name, errors, tool.parameters) } : { args: value };
+}
+
+function invalidArgumentsResult(name, errors, schema) {
+  const out = {
+    error: 'invalid_arguments',
+    message: `Arguments for "${name}" do not match its schema. Fix them and call the tool again.`,
+    details: errors.map(e => `${e.path} ${e.message}`)
+  };
+  if (schema) out.schema = schema;
+  return out;
+}
+
+// -------- Provider endpoints (override to point at a local stand-in server) --------
+const ENDPOINTS = {
+  openai:    'https://api.openai.com/v1/chat/completions',
+  aipipe:    'https://aipipe.org/openrouter/v1/chat/completions',
+  anthropic: 'https://api.anthropic.com/v1/messages',
+  gemini:    'https://generativelanguage.googleapis.com/v1beta/models'
+};
+
+// Anthropic answers CORS preflights from a page only when direct browser access is opted into
+function anthropicHeaders(key) {
+  return { 'x-api-key': key, 'anthropic-version': '2023-06-01', 'anthropic-dangerous-direct-browser-access': 'true' };
+}
+
+// Base URL of an OpenAI-compatible server, e.g. http://localhost:11434/v1 (Ollama)
+function compatibleUrl(baseUrl, path) {
+  if (!baseUrl) throw new Error('Set the base URL of the OpenAI-compatible server.');
+  return baseUrl.replace(/\/+$/, '') + '/' + path;
+}
+
+/* -------------------------------
+   SANITIZER: Remove empty tool_calls etc.
+   ------------------------------- */
+function sanitizeMessagesForOpenAI(messages) {
+  return messages.map((m) => {
+    const out = { role: m.role };
+
+    // Common content handling
+    const asString = (v) => (typeof v === 'string' ? v : (v == null ? '' : JSON.stringify(v)));
+
+    if (m.role === 'assistant') {
+      const tc = Array.isArray(m.tool_calls) ? m.tool_calls.filter(Boolean) : [];
+      if (tc.length > 0) {
+        // Keep tool_calls, ensure proper shape, set content to null if empty
+        out.tool_calls = tc.map((t) => ({
+          id: t.id,
+          type: 'function',
+          function: {
+            name: t.function?.name,
+            arguments: typeof t.function?.arguments === 'string'
+              ? t.function.arguments
+              : JSON.stringify(t.function?.arguments || {})
+          }
+        }));
+        const c = (m.content ?? '').toString().trim();
+        out.content = c.length ? c : null; // OpenAI allows null when using tool_calls
+      } else {
+        // DO NOT send empty array
+        out.content = asString(m.content ?? '');
+      }
+    } else if (m.role === 'tool') {
+      out.tool_call_id = m.tool_call_id;
+      if (m.name) out.name = m.name;
+      out.content = asString(m.content ?? '');
+    } else {
+      // user/system
+      out.content = asString(m.content ?? '');
+      if (m.name) out.name = m.name;
+    }
+    return out;
+  });
+}
+
+// -------- Model discovery (list the models a key can use) --------
+// Endpoints derive from ENDPOINTS so a stand-in server override covers listings too
+function modelsUrl(provider, baseUrl) {
+  if (provider === 'compatible') return compatibleUrl(baseUrl, 'models');
+  if (provider === 'openai' || provider === 'aipipe') return ENDPOINTS[provider].replace(/chat\/completions$/, 'models');
+  if (provider === 'anthropic') return ENDPOINTS.anthropic.replace(/messages$/, 'models?limit=1000');
+  if (provider === 'gemini') return ENDPOINTS.gemini + '?pageSize=1000';
+  throw new Error('Unsupported provider: ' + provider);
+}
+
+async function listModels(provider, key, baseUrl, fetchImpl = fetch) {
+  const headers = {};
+  let url = modelsUrl(provider, baseUrl);
+  if (provider === 'anthropic') Object.assign(headers, anthropicHeaders(key));
+  else if (provider === 'gemini') url += `&key=${encodeURIComponent(key)}`;
+  else if (key) headers['Authorization'] = `Bearer ${key}`;
+
+  const res = await fetchImpl(url, { headers, signal: AbortSignal.timeout(20000) });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  const json = await res.json();
+  const models = provider === 'gemini'
+    ? (json.models || [])
+        .filter(m => (m.supportedGenerationMethods || []).includes('generateContent'))
+        .map(m => ({ value: String(m.name).replace(/^models\//, ''), label: m.displayName ? `${String(m.name).replace(/^models\//, '')} — ${m.displayName}` : String(m.name).replace(/^models\//, '') }))
+    : (json.data || []).map(m => ({ value: m.id, label: m.display_name && m.display_name !== m.id ? `${m.id} — ${m.display_name}` : m.id }));
+  return models.filter(m => m.value).sort((a, b) => a.value.localeCompare(b.value));
+}
+
+// -------- Retries (exponential backoff with jitter, honoring Retry-After) --------
+const RETRY_BASE_MS = 1000;
+const RETRY_MAX_MS = 30000;
+
+// POST JSON to a provider; non-2xx responses throw an Error carrying status and retryAfterMs
+async function postProvider(url, headers, body, io) {
+  const res = await io.fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: io.signal });
+  if (!res.ok) {
+    const err = new Error(`${res.status} ${res.statusText}: ` + (await res.text()));
+    err.status = res.status;
+    err.retryAfterMs = parseRetryAfter(res.headers);
+    throw err;
+  }
+  return res;
+}
+
+function parseRetryAfter(headers) {
+  const ms = parseFloat(headers.get('retry-after-ms'));
+  if (Number.isFinite(ms)) return ms;
+  const v = headers.get('retry-after');
+  if (!v) return null;
+  const secs = Number(v);
+  if (Number.isFinite(secs)) return secs * 1000;
+  const date = Date.parse(v);
+  return Number.isFinite(date) ? Math.max(0, date - Date.now()) : null;
+}
+
+// 429, 5xx and network failures (fetch rejects with TypeError) are worth another attempt
+function isRetryable(err) {
+  if (isAbortError(err)) return false;
+  if (err?.status) return err.status === 429 || err.status >= 500;
+  return err instanceof TypeError;
+}
+
+function backoffDelay(attempt, err) {
+  if (err?.retryAfterMs != null) return Math.min(RETRY_MAX_MS, err.retryAfterMs);
+  const exp = Math.min(RETRY_MAX_MS, RETRY_BASE_MS * 2 ** (attempt - 1));
+  return Math.round(exp / 2 + Math.random() * exp / 2);
+}
+
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    if (signal?.aborted) return reject(new DOMException('Aborted', 'AbortError'));
+    const t = setTimeout(() => { signal?.removeEventListener('abort', onAbort); resolve(); }, ms);
+    const onAbort = () => { clearTimeout(t); reject(new DOMException('Aborted', 'AbortError')); };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
+
+async function withRetry(fn, { retries = 2, signal, canRetry = () => true, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (err) {
+      if (attempt > retries || !isRetryable(err) || !canRetry()) throw err;
+      const delay = backoffDelay(attempt, err);
+      onRetry?.(attempt, delay, err);
+      await sleep(delay, signal);
+    }
+  }
+}
+
+// -------- Streaming (server-sent events) --------
+function isEventStream(res) {
+  return /text\/event-stream/i.test(res.headers.get('content-type') || '') && !!res.body;
+}
+
+// Reads an SSE body and calls onEvent({ event, data }) per event; data lines are joined with '\n'
+async function readSSE(res, onEvent) {
+  const reader = res.body.getReader();
+  const decoder = new TextDecoder();
+  let buf = '';
+  let event = 'message', data = [];
+
+  const dispatch = () => {
+    if (data.length) onEvent({ event, data: data.join('\n') });
+    event = 'message'; data = [];
+  };
+
+  for (;;) {
+    const { value, done } = await reader.read();
+    buf += decoder.decode(value || new Uint8Array(), { stream: !done });
+    if (done) buf += '\n'; // flush a trailing line without newline
+    let nl;
+    while ((nl = buf.search(/\r\n|\r|\n/)) >= 0) {
+      if (!done && nl === buf.length - 1 && buf[nl] === '\r') break; // '\n' may follow in the next chunk
+      const line = buf.slice(0, nl);
+      buf = buf.slice(nl + (buf.startsWith('\r\n', nl) ? 2 : 1));
+      if (line === '') { dispatch(); continue; }
+      if (line.startsWith(':')) continue; // comment / keep-alive
+      const colon = line.indexOf(':');
+      const field = colon < 0 ? line : line.slice(0, colon);
+      const val = colon < 0 ? '' : line.slice(colon + 1).replace(/^ /, '');
+      if (field === 'event') event = val;
+      else if (field === 'data') data.push(val);
+    }
+    if (done) break;
+  }
+  dispatch();
+}
+
+function parseEventData(data) {
+  try { return JSON.parse(data); } catch { return null; }
+}
+
+// OpenAI / OpenRouter chat.completion.chunk stream -> chat.completion shape
+async function readOpenAIStream(res, onDelta) {
+  const msg = { role: 'assistant', content: '', tool_calls: [] };
+  let usage = null;
+  await readSSE(res, ({ data }) => {
+    if (data === '[DONE]') return;
+    const chunk = parseEventData(data);
+    if (chunk?.error) throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    if (chunk?.usage) usage = chunk.usage; // final chunk (stream_options.include_usage)
+    const d = chunk?.choices?.[0]?.delta;
+    if (!d) return;
+    if (typeof d.content === 'string' && d.content) { msg.content += d.content; onDelta(d.content); }
+    for (const t of d.tool_calls || []) {
+      const i = Number.isInteger(t.index) ? t.index : msg.tool_calls.length;
+      const tc = msg.tool_calls[i] ||= { id: '', type: 'function', function: { name: '', arguments: '' } };
+      if (t.id) tc.id = t.id;
+      if (t.function?.name) tc.function.name += t.function.name;
+      if (t.function?.arguments) tc.function.arguments += t.function.arguments;
+    }
+  });
+  msg.tool_calls = msg.tool_calls.filter(Boolean);
+  return usage ? { choices: [{ message: msg }], usage } : { choices: [{ message: msg }] };
+}
+
+// Anthropic message events -> the same { content: [...] } body the non-streaming API returns
+async function readAnthropicStream(res, onDelta) {
+  const blocks = [];
+  const partialJson = [];
+  const usage = {};
+  await readSSE(res, ({ data }) => {
+    const ev = parseEventData(data);
+    if (!ev) return;
+    if (ev.type === 'error') throw new Error(ev.error?.message || JSON.stringify(ev.error));
+    if (ev.type === 'message_start') Object.assign(usage, ev.message?.usage);
+    else if (ev.type === 'message_delta') Object.assign(usage, ev.usage);
+    else if (ev.type === 'content_block_start') {
+      blocks[ev.index] = { ...ev.content_block };
+      partialJson[ev.index] = '';
+    } else if (ev.type === 'content_block_delta') {
+      const b = blocks[ev.index];
+      if (!b) return;
+      if (ev.delta?.type === 'text_delta') { b.text = (b.text || '') + ev.delta.text; onDelta(ev.delta.text); }
+      else if (ev.delta?.type === 'input_json_delta') partialJson[ev.index] += ev.delta.partial_json || '';
+    } else if (ev.type === 'content_block_stop') {
+      const b = blocks[ev.index];
+      if (b?.type === 'tool_use' && partialJson[ev.index]) b.input = parseEventData(partialJson[ev.index]) || {};
+    }
+  });
+  return { content: blocks.filter(Boolean), usage };
+}
+
+// Gemini streamGenerateContent (alt=sse) -> one merged candidate
+async function readGeminiStream(res, onDelta) {
+  const parts = [];
+  let usageMetadata = null;
+  await readSSE(res, ({ data }) => {
+    const chunk = parseEventData(data);
+    if (chunk?.error) throw new Error(chunk.error.message || JSON.stringify(chunk.error));
+    if (chunk?.usageMetadata) usageMetadata = chunk.usageMetadata; // cumulative; the last one wins
+    for (const p of chunk?.candidates?.[0]?.content?.parts || []) {
+      const last = parts[parts.length - 1];
+      if (typeof p.text === 'string') {
+        if (typeof last?.text === 'string') last.text += p.text; else parts.push({ text: p.text });
+        onDelta(p.text);
+      } else if (p.functionCall) {
+        parts.push({ functionCall: p.functionCall });
+      }
+    }
+  });
+  return { candidates: [{ content: { role: 'model', parts } }], usageMetadata };
+}
+
+// -------- Provider: OpenAI --------
+async function callOpenAI(apiKey, model, messages, maxTokens, temperature, tools, onDelta, io) {
+  const url = ENDPOINTS.openai;
+  const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
+  const safeMessages = sanitizeMessagesForOpenAI(messages);
+  const body = { model, messages: safeMessages, max_tokens: maxTokens, temperature };
+  if (tools?.length) body.tools = tools;
+  if (onDelta) { body.stream = true; body.stream_options = { include_usage: true }; }
+  const res = await postProvider(url, headers, body, io);
+  if (onDelta && isEventStream(res)) return await readOpenAIStream(res, onDelta);
+  return await res.json();
+}
+
+// -------- Provider: AI Pipe (OpenRouter-compatible) --------
+async function callAIPipe(apiKey, model, messages, maxTokens, temperature, tools, onDelta, io) {
+  const url = ENDPOINTS.aipipe;
+  const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey.trim()}` };
+  const safeMessages = sanitizeMessagesForOpenAI(messages);
+  const body = { model, messages: safeMessages, max_tokens: maxTokens, temperature };
+  if (tools?.length) body.tools = tools;
+  if (onDelta) { body.stream = true; body.stream_options = { include_usage: true }; }
+  const res = await postProvider(url, headers, body, io);
+  if (onDelta && isEventStream(res)) return await readOpenAIStream(res, onDelta);
+  return await res.json();
+}
+
+// -------- Provider: OpenAI-compatible server (Ollama, llama.cpp, vLLM, LM Studio) --------
+async function callCompatible(apiKey, model, messages, maxTokens, temperature, tools, onDelta, io) {
+  const url = compatibleUrl(io.baseUrl, 'chat/completions');
+  const headers = { 'Content-Type': 'application/json' };
+  if (apiKey) headers['Authorization'] = `Bearer ${apiKey}`;
+  const safeMessages = sanitizeMessagesForOpenAI(messages);
+  const body = { model, messages: safeMessages, max_tokens: maxTokens, temperature };
+  if (tools?.length) body.tools = tools;
+  if (onDelta) { body.stream = true; body.stream_options = { include_usage: true }; }
+  const res = await postProvider(url, headers, body, io);
+  if (onDelta && isEventStream(res)) return await readOpenAIStream(res, onDelta);
+  return await res.json();
+}
+
+// -------- Adapter helpers (shared by the Gemini / Anthropic translations) --------
+function contentText(content) {
+  if (content == null) return '';
+  return typeof content === 'string' ? content : JSON.stringify(content);
+}
+
+function parseToolContent(content) {
+  if (typeof content !== 'string') return content ?? null;
+  try { return JSON.parse(content); } catch { return { text: content }; }
+}
+
+// Tool messages may lack `name`; recover it from the assistant call with the same id
+function toolNameForCall(messages, id) {
+  for (const m of messages) {
+    const tc = m?.role === 'assistant' && (m.tool_calls || []).find(t => t?.id === id);
+    if (tc) return tc.function?.name;
+  }
+  return null;
+}
+
+// -------- Provider: Google Gemini (v1beta) --------
+function toGeminiTools(openaiTools) {
+  const fns = (openaiTools || []).map(t => t?.function).filter(Boolean).map(fn => ({
+    name: fn.name, description: fn.description || '', parameters: fn.parameters || { type: 'object' }
+  }));
+  return fns.length ? [{ functionDeclarations: fns }] : [];
+}
+// OpenAI-style history -> { systemInstruction, contents }. Assistant tool_calls become model
+// functionCall parts; consecutive tool results are grouped into one user turn of functionResponses.
+function toGeminiContents(messages) {
+  const contents = [];
+  const system = [];
+  const push = (role, parts) => {
+    if (!parts.length) return;
+    const last = contents[contents.length - 1];
+    if (last?.role === role) last.parts.push(...parts); else contents.push({ role, parts });
+  };
+  for (const m of messages) {
+    if (!m || !m.role) continue;
+    if (m.role === 'system') {
+      if (contentText(m.content)) system.push(contentText(m.content));
+    } else if (m.role === 'user') {
+      if (contentText(m.content)) push('user', [{ text: contentText(m.content) }]);
+    } else if (m.role === 'assistant') {
+      const parts = [];
+      if (contentText(m.content)) parts.push({ text: contentText(m.content) });
+      for (const tc of m.tool_calls || []) {
+        if (tc?.function?.name) parts.push({ functionCall: { name: tc.function.name, args: parseToolArguments(tc) } });
+      }
+      push('model', parts);
+    } else if (m.role === 'tool') {
+      const parsed = parseToolContent(m.content);
+      const response = (parsed && typeof parsed === 'object' && !Array.isArray(parsed)) ? parsed : { result: parsed };
+      push('user', [{ functionResponse: { name: m.name || toolNameForCall(messages, m.tool_call_id) || 'tool', response } }]);
+    }
+  }
+  const out = { contents };
+  if (system.length) out.systemInstruction = { parts: [{ text: system.join('\n\n') }] };
+  return out;
+}
+function fromGeminiResponseToOpenAI(data) {
+  const choices = [{ message: { role: 'assistant', content: '', tool_calls: [] } }];
+  const msg = choices[0].message;
+  const parts = data?.candidates?.[0]?.content?.parts || [];
+  for (const p of parts) {
+    if (typeof p?.text === 'string') msg.content += (msg.content ? '\n' : '') + p.text;
+    if (p?.functionCall && p.functionCall.name) {
+      msg.tool_calls.push({
+        id: 'gemini_' + Math.random().toString(36).slice(2),
+        type: 'function',
+        function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
+      });
+    }
+  }
+  const u = data?.usageMetadata;
+  if (!u) return { choices };
+  const usage = { prompt_tokens: u.promptTokenCount || 0, completion_tokens: (u.candidatesTokenCount || 0) + (u.thoughtsTokenCount || 0) };
+  usage.total_tokens = u.totalTokenCount || usage.prompt_tokens + usage.completion_tokens;
+  return { choices, usage };
+}
+async function callGemini(apiKey, model, messages, maxTokens, temperature, openaiTools, onDelta, io) {
+  const method = onDelta ? 'streamGenerateContent?alt=sse&' : 'generateContent?';
+  const url = `${ENDPOINTS.gemini}/${encodeURIComponent(model)}:${method}key=${encodeURIComponent(apiKey)}`;
+  const headers = { 'Content-Type': 'application/json' };
+  const body = {
+    ...toGeminiContents(messages),
+    tools: toGeminiTools(openaiTools),
+    generationConfig: { maxOutputTokens: maxTokens, temperature }
+  };
+  const res = await postProvider(url, headers, body, io);
+  const data = (onDelta && isEventStream(res)) ? await readGeminiStream(res, onDelta) : await res.json();
+  return fromGeminiResponseToOpenAI(data);
+}
+
+// -------- Provider: Anthropic Claude --------
+function toAnthropicTools(openaiTools) {
+  return (openaiTools || []).map(t => t?.function).filter(Boolean).map(fn => ({
+    name: fn.name, description: fn.description || '', input_schema: fn.parameters || { type: 'object' }
+  }));
+}
+// OpenAI-style history -> { system, messages }. Assistant tool_calls become tool_use blocks;
+// tool results become tool_result blocks, grouped with any following user text so turns alternate.
+function toAnthropicMessages(messages) {
+  const out = [];
+  const system = [];
+  const push = (role, blocks) => {
+    if (!blocks.length) return;
+    const last = out[out.length - 1];
+    if (last?.role === role) last.content.push(...blocks); else out.push({ role, content: blocks });
+  };
+  for (const m of messages) {
+    if (!m || !m.role) continue;
+    if (m.role === 'system') {
+      if (contentText(m.content)) system.push(contentText(m.content));
+    } else if (m.role === 'user') {
+      const text = contentText(m.content);
+      if (text) push('user', [{ type: 'text', text }]);
+    } else if (m.role === 'assistant') {
+      const blocks = [];
+      if (contentText(m.content).trim()) blocks.push({ type: 'text', text: contentText(m.content) });
+      for (const tc of m.tool_calls || []) {
+        if (tc?.function?.name) blocks.push({ type: 'tool_use', id: tc.id, name: tc.function.name, input: parseToolArguments(tc) });
+      }
+      push('assistant', blocks);
+    } else if (m.role === 'tool') {
+      const parsed = parseToolContent(m.content);
+      push('user', [{
+        type: 'tool_result',
+        tool_use_id: m.tool_call_id,
+        content: typeof m.content === 'string' ? m.content : JSON.stringify(m.content ?? ''),
+        is_error: !!(parsed && typeof parsed === 'object' && parsed.error)
+      }]);
+    }
+  }
+  const result = { messages: out };
+  if (system.length) result.system = system.join('\n\n');
+  return result;
+}
+function fromAnthropicResponseToOpenAI(data) {
+  const choices = [{ message: { role: 'assistant', content: '', tool_calls: [] } }];
+  const msg = choices[0].message;
+  const blocks = data?.content || [];
+  for (const b of blocks) {
+    if (b.type === 'text' && typeof b.text === 'string') msg.content += (msg.content ? '\n' : '') + b.text;
+    else if (b.type === 'tool_use') {
+      msg.tool_calls.push({ id: b.id || ('claude_' + Math.random().toString(36).slice(2)), type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } });
+    }
+  }
+  const u = data?.usage;
+  if (!u || u.input_tokens == null) return { choices };
+  const input = (u.input_tokens || 0) + (u.cache_creation_input_tokens || 0) + (u.cache_read_input_tokens || 0);
+  return { choices, usage: { prompt_tokens: input, completion_tokens: u.output_tokens || 0, total_tokens: input + (u.output_tokens || 0) } };
+}
+async function callAnthropic(apiKey, model, messages, maxTokens, temperature, openaiTools, onDelta, io) {
+  const url = ENDPOINTS.anthropic;
+  const headers = { 'Content-Type': 'application/json', ...anthropicHeaders(apiKey) };
+  const body = { model, max_tokens: maxTokens, temperature, ...toAnthropicMessages(messages) };
+  if (openaiTools?.length) body.tools = toAnthropicTools(openaiTools);
+  if (onDelta) body.stream = true;
+  const res = await postProvider(url, headers, body, io);
+  const data = (onDelta && isEventStream(res)) ? await readAnthropicStream(res, onDelta) : await res.json();
+  return fromAnthropicResponseToOpenAI(data);
+}
+
+// -------- Tool-call arguments (string or object; invalid JSON -> {}) --------
+function parseToolArguments(tc) {
+  try {
+    return typeof tc.function.arguments === 'string'
+      ? JSON.parse(tc.function.arguments)
+      : (tc.function.arguments || {});
+  } catch {
+    return {};
+  }
+}
+
+// -------- Extract assistant message --------
+function getAssistantMessage(data) { return (data?.choices?.length ? data.choices[0].message : null); }
+
+// -------- Tool: web_search (pluggable backends, merged results, cache) --------
+// Each backend: { label, configured(settings), search(q, num, ctx) -> [{ title, link, snippet }] }.
+// Backends are tried in the order set in Settings until `num` distinct results are collected.
+const SEARCH_BACKENDS = {
+  google: {
+    label: 'Google CSE',
+    configured: (s) => !!(s.googleKey && s.googleCx),
+    async search(q, num, ctx) {
+      const s = ctx.settings;
+      const url = `https://www.googleapis.com/customsearch/v1?key=${encodeURIComponent(s.googleKey)}&cx=${encodeURIComponent(s.googleCx)}&q=${encodeURIComponent(q)}&num=${num}`;
+      const json = await searchFetchJson(ctx, url);
+      return (json.items || []).map(i => ({ title: i.title, link: i.link, snippet: i.snippet }));
+    }
+  },
+  brave: {
+    label: 'Brave Search',
+    configured: (s) => !!s.braveKey,
+    async search(q, num, ctx) {
+      const s = ctx.settings;
+      const json = await searchFetchJson(ctx, `https://api.search.brave.com/res/v1/web/search?q=${encodeURIComponent(q)}&count=${num}`, {
+        headers: { 'Accept': 'application/json', 'X-Subscription-Token': s.braveKey }
+      });
+      return (json.web?.results || []).map(r => ({ title: r.title, link: r.url, snippet: stripTags(r.description) }));
+    }
+  },
+  bing: {
+    label: 'Bing Web Search',
+    configured: (s) => !!s.bingKey,
+    async search(q, num, ctx) {
+      const s = ctx.settings;
+      const json = await searchFetchJson(ctx, `https://api.bing.microsoft.com/v7.0/search?q=${encodeURIComponent(q)}&count=${num}`, {
+        headers: { 'Ocp-Apim-Subscription-Key': s.bingKey }
+      });
+      return (json.webPages?.value || []).map(r => ({ title: r.name, link: r.url, snippet: r.snippet }));
+    }
+  },
+  searxng: {
+    label: 'SearXNG',
+    configured: (s) => !!s.searxngUrl,
+    async search(q, num, ctx) {
+      const s = ctx.settings;
+      const json = await searchFetchJson(ctx, `${s.searxngUrl.replace(/\/+$/, '')}/search?q=${encodeURIComponent(q)}&format=json`);
+      return (json.results || []).slice(0, num).map(r => ({ title: r.title, link: r.url, snippet: r.content || '' }));
+    }
+  },
+  duckduckgo: {
+    label: 'DuckDuckGo Instant Answers',
+    configured: () => true,
+    async search(q, num, ctx) {
+      const data = await searchFetchJson(ctx, `https://api.duckduckgo.com/?q=${encodeURIComponent(q)}&format=json&no_html=1&skip_disambig=1`);
+      const items = [];
+      if (data.AbstractText) {
+        items.push({ title: data.Heading || q, link: data.AbstractURL || (data.Results?.[0]?.FirstURL) || "", snippet: data.AbstractText });
+      }
+      if (Array.isArray(data.RelatedTopics)) {
+        for (const rt of data.RelatedTopics.slice(0, Math.max(0, num - items.length))) {
+          if (rt?.Text) items.push({ title: (rt?.Text.split(" - ")[0]) || q, link: rt?.FirstURL || "", snippet: rt?.Text });
+        }
+      }
+      return items;
+    }
+  },
+  wikipedia: {
+    label: 'Wikipedia',
+    configured: () => true,
+    // Full-text search for matching titles, then the REST summary of each hit
+    async search(q, num, ctx) {
+      const found = await searchFetchJson(ctx, `https://en.wikipedia.org/w/api.php?action=query&list=search&srsearch=${encodeURIComponent(q)}&srlimit=${Math.min(num, 5)}&format=json&origin=*`);
+      const hits = found.query?.search || [];
+      const items = await Promise.all(hits.map(async (h) => {
+        try {
+          const w = await searchFetchJson(ctx, `https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(h.title.replace(/ /g, '_'))}`);
+          return { title: w.title || h.title, link: w.content_urls?.desktop?.page || w.content_urls?.mobile?.page || '', snippet: w.extract || stripTags(h.snippet) };
+        } catch (err) {
+          if (isAbortError(err)) throw err;
+          return { title: h.title, link: `https://en.wikipedia.org/wiki/${encodeURIComponent(h.title.replace(/ /g, '_'))}`, snippet: stripTags(h.snippet) };
+        }
+      }));
+      return items;
+    }
+  }
+};
+const DEFAULT_SEARCH_ORDER = ['google', 'brave', 'bing', 'searxng', 'duckduckgo', 'wikipedia'];
+
+async function searchFetchJson(ctx, url, init = {}) {
+  const res = await ctx.fetch(url, { ...init, signal: ctx.signal });
+  if (!res.ok) throw new Error(`${res.status} ${res.statusText}`);
+  return res.json();
+}
+
+function stripTags(html) {
+  return String(html || '').replace(/<[^>]*>/g, '').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&');
+}
+
+// Comma/newline-separated backend names; unknown names are ignored
+function parseSearchOrder(text) {
+  const names = String(text || '').split(/[\s,]+/).map(n => n.trim().toLowerCase()).filter(n => SEARCH_BACKENDS[n]);
+  return names.length ? [...new Set(names)] : DEFAULT_SEARCH_ORDER;
+}
+
+// Same page under http/https, "www.", a trailing slash or a #fragment counts as one result
+function normalizeResultUrl(link) {
+  try {
+    const u = new URL(link);
+    return (u.hostname.replace(/^www\./, '') + u.pathname.replace(/\/+$/, '') + u.search).toLowerCase();
+  } catch {
+    return String(link || '').toLowerCase();
+  }
+}
+
+async function toolWebSearch({ q, num = 3 }, ctx) {
+  const { settings } = ctx;
+  const backends = (settings.searchOrder || DEFAULT_SEARCH_ORDER).filter(name => SEARCH_BACKENDS[name]?.configured(settings));
+  const merged = new Map();
+  const used = [], errors = [];
+
+  for (const name of backends) {
+    if (merged.size >= num) break;
+    let items;
+    try {
+      items = await cachedSearch(name, q, num, ctx);
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      errors.push({ backend: name, error: err?.message || String(err) });
+      continue;
+    }
+    if (items.length) used.push(name);
+    for (const item of items) {
+      if (!item.link && !item.snippet) continue;
+      const key = item.link ? normalizeResultUrl(item.link) : item.title;
+      const existing = merged.get(key);
+      if (existing) {
+        // Keep the first (higher-priority) hit; note every backend that returned it
+        if (!existing.providers.includes(name)) existing.providers.push(name);
+        if (!existing.snippet && item.snippet) existing.snippet = item.snippet;
+      } else if (merged.size < num) {
+        merged.set(key, { ...item, providers: [name] });
+      }
+    }
+  }
+
+  const out = { query: q, provider: used.join('+') || 'none', items: [...merged.values()] };
+  if (errors.length) out.errors = errors;
+  if (!out.items.length) out.warning = backends.length ? 'Search backends returned no results (network/CORS?).' : 'No search backend is configured.';
+  return out;
+}
+
+// -------- Search cache (TTL) --------
+// Stored through the agent's injected searchCache ({ get(key), put(record) }; IndexedDB in the
+// page). Entries are keyed by backend + normalized query; a hit must be fresh and have been
+// fetched with at least the requested number of results.
+function searchCacheKey(backend, q) { return backend + '\n' + q.trim().toLowerCase().replace(/\s+/g, ' '); }
+
+async function cachedSearch(backend, q, num, ctx) {
+  const cache = ctx.agent.searchCache;
+  const ttlMs = cache ? ctx.settings.searchCacheTtlMin * 60000 : 0;
+  const key = searchCacheKey(backend, q);
+  if (ttlMs > 0) {
+    const hit = await Promise.resolve().then(() => cache.get(key)).catch(() => null);
+    if (hit && Date.now() - hit.at < ttlMs && hit.num >= num) return hit.items.slice(0, num);
+  }
+  const items = await SEARCH_BACKENDS[backend].search(q, num, ctx);
+  if (ttlMs > 0 && items.length) Promise.resolve().then(() => cache.put({ key, backend, query: q, num, items, at: Date.now() })).catch(() => {});
+  return items;
+}
+
+// -------- Tool: fetch_url (readable page text as Markdown, paged) --------
+const FETCH_CACHE_LIMIT = 20;
+const FETCH_MAX_LINKS = 40;
+const FETCH_DROP_SELECTOR = 'script, style, noscript, template, svg, canvas, iframe, button, nav, footer, aside, [role="navigation"], [role="banner"], [role="contentinfo"], [aria-hidden="true"], .sidebar, .nav, .menu, .footer, .advert, .ads, .cookie';
+
+// "{url}" in the proxy template is replaced by the encoded target; otherwise the URL is appended
+function proxiedUrl(proxy, url) {
+  return proxy.includes('{url}') ? proxy.replace('{url}', encodeURIComponent(url)) : proxy + url;
+}
+
+// Direct fetch first; a network/CORS failure (TypeError) is retried through the proxy
+async function fetchWithCorsFallback(url, proxy, ctx) {
+  try {
+    return { res: await ctx.fetch(url, { signal: ctx.signal }), via: 'direct' };
+  } catch (err) {
+    if (isAbortError(err) || !proxy) throw err;
+    return { res: await ctx.fetch(proxiedUrl(proxy, url), { signal: ctx.signal }), via: 'proxy' };
+  }
+}
+
+async function toolFetchUrl({ url, page = 1 }, ctx) {
+  let target;
+  try { target = new URL(url); } catch { return { error: `Invalid URL: ${url}` }; }
+  if (!/^https?:$/.test(target.protocol)) return { error: 'Only http(s) URLs can be fetched.' };
+  const { corsProxy, fetchPageChars } = ctx.settings;
+
+  // Per conversation (cleared by reset), least recently used page evicted first
+  const cache = ctx.agent.fetchedPages;
+  let doc = cache.get(target.href);
+  if (doc) {
+    cache.delete(target.href);
+    cache.set(target.href, doc);
+  } else {
+    let res, via;
+    try {
+      ({ res, via } = await fetchWithCorsFallback(target.href, corsProxy, ctx));
+    } catch (err) {
+      if (isAbortError(err)) throw err;
+      return { error: `Could not fetch ${target.href}: ${err?.message || err}`, hint: corsProxy ? undefined : 'The site may block cross-origin requests; set a CORS proxy in Settings.' };
+    }
+    if (!res.ok) return { error: `HTTP ${res.status} ${res.statusText} for ${target.href}`, via };
+    const contentType = (res.headers.get('content-type') || '').split(';')[0].trim().toLowerCase();
+    if (/^(image|audio|video)\/|application\/(pdf|zip|octet-stream)/.test(contentType)) {
+      return { error: `Unsupported content type: ${contentType}`, url: target.href };
+    }
+    const text = await res.text();
+    doc = /html|xml/.test(contentType) || (!contentType && /^\s*</.test(text))
+      ? htmlToReadable(text, target.href)
+      : { title: target.pathname.split('/').pop() || target.hostname, markdown: text.trim(), headings: [], links: [] };
+    Object.assign(doc, { url: target.href, site: target.hostname, content_type: contentType || null, fetched_at: new Date().toISOString(), via });
+    cache.set(target.href, doc);
+    if (cache.size > FETCH_CACHE_LIMIT) cache.delete(cache.keys().next().value);
+  }
+
+  const pages = Math.max(1, Math.ceil(doc.markdown.length / fetchPageChars));
+  const p = Math.min(Math.max(1, page | 0), pages);
+  const { markdown, headings, links, ...meta } = doc;
+  const out = { ...meta, page: p, pages, total_chars: markdown.length, content: markdown.slice((p - 1) * fetchPageChars, p * fetchPageChars) };
+  // Outline and links only on the first page, to keep later pages compact
+  if (p === 1) { out.headings = headings; out.links = links; }
+  if (p < pages) out.next_page = p + 1;
+  return out;
+}
+
+// Parses HTML and keeps the main content: <article>/<main> if present, else the element
+// holding the most paragraph text; boilerplate (nav, ads, scripts, …) is removed first.
+// Without DOMParser (Node) the page's text is kept with the tags stripped.
+function htmlToReadable(html, baseUrl) {
+  if (typeof DOMParser === 'undefined') return htmlToPlainText(html);
+  const dom = new DOMParser().parseFromString(html, 'text/html');
+  const metaContent = (sel) => dom.querySelector(sel)?.getAttribute('content')?.trim() || null;
+  const meta = {
+    title: metaContent('meta[property="og:title"]') || dom.title?.trim() || null,
+    description: metaContent('meta[name="description"]') || metaContent('meta[property="og:description"]'),
+    byline: metaContent('meta[name="author"]'),
+    published: metaContent('meta[property="article:published_time"]') || dom.querySelector('time[datetime]')?.getAttribute('datetime') || null,
+    lang: dom.documentElement.getAttribute('lang') || null
+  };
+  const canonical = dom.querySelector('link[rel="canonical"]')?.getAttribute('href');
+  if (canonical) { try { meta.canonical_url = new URL(canonical, baseUrl).href; } catch {} }
+
+  dom.querySelectorAll(FETCH_DROP_SELECTOR).forEach(n => n.remove());
+  let root = dom.querySelector('article') || dom.querySelector('main, [role="main"]');
+  if (!root) {
+    let best = 0;
+    for (const el of dom.querySelectorAll('div, section')) {
+      const score = [...el.children].filter(c => c.tagName === 'P').reduce((n, c) => n + c.textContent.length, 0);
+      if (score > best) { best = score; root = el; }
+    }
+  }
+  root = root || dom.body;
+
+  const links = new Map();
+  const markdown = nodeToMarkdown(root, { baseUrl, links }).replace(/\n{3,}/g, '\n\n').trim();
+  const headings = [...root.querySelectorAll('h1, h2, h3')].map(h => ({ level: +h.tagName[1], text: h.textContent.replace(/\s+/g, ' ').trim() })).filter(h => h.text);
+  return { ...meta, markdown, headings, links: [...links].slice(0, FETCH_MAX_LINKS).map(([href, text]) => ({ text, url: href })) };
+}
+
+function htmlToPlainText(html) {
+  const title = /<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1];
+  const body = String(html)
+    .replace(/<(head|script|style|noscript|template|svg|nav|footer)\b[\s\S]*?<\/\1>/gi, '')
+    .replace(/<\/?(p|div|section|article|li|tr|br|h[1-6])\b[^>]*>/gi, '\n');
+  const markdown = stripTags(body).replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>')
+    .replace(/[ \t]+/g, ' ').replace(/\n\s*/g, '\n').replace(/\n{3,}/g, '\n\n').trim();
+  return { title: title ? stripTags(title).trim() : null, markdown, headings: [], links: [] };
+}
+
+function nodeToMarkdown(node, ctx) {
+  if (node.nodeType === 3) return node.textContent.replace(/\s+/g, ' ');
+  if (node.nodeType !== 1) return '';
+  const tag = node.tagName.toLowerCase();
+  const inner = () => [...node.childNodes].map(c => nodeToMarkdown(c, ctx)).join('');
+  const block = (s) => `\n\n${s.trim()}\n\n`;
+
+  if (/^h[1-6]$/.test(tag)) return block('#'.repeat(+tag[1]) + ' ' + inner().trim());
+  switch (tag) {
+    case 'p': case 'div': case 'section': case 'header': case 'figure': return block(inner());
+    case 'br': return '\n';
+    case 'hr': return block('---');
+    case 'strong': case 'b': { const t = inner().trim(); return t ? `**${t}**` : ''; }
+    case 'em': case 'i': { const t = inner().trim(); return t ? `*${t}*` : ''; }
+    case 'code': return '`' + node.textContent + '`';
+    case 'pre': return block('```\n' + node.textContent.replace(/\n+$/, '') + '\n```');
+    case 'blockquote': return block(inner().trim().split('\n').map(l => '> ' + l).join('\n'));
+    case 'ul': case 'ol': {
+      const items = [...node.children].filter(c => c.tagName === 'LI');
+      return block(items.map((li, i) => (tag === 'ol' ? `${i + 1}. ` : '- ') + nodeToMarkdown(li, ctx).trim().replace(/\n+/g, ' ')).join('\n'));
+    }
+    case 'a': {
+      const text = inner().trim();
+      let href = null;
+      try { href = new URL(node.getAttribute('href') || '', ctx.baseUrl).href; } catch {}
+      if (!href || !/^https?:/.test(href) || !text) return text;
+      if (!ctx.links.has(href)) ctx.links.set(href, text);
+      return `[${text}](${href})`;
+    }
+    case 'img': {
+      const alt = (node.getAttribute('alt') || '').trim();
+      return alt ? `[image: ${alt}]` : '';
+    }
+    case 'table': {
+      const rows = [...node.querySelectorAll('tr')].map(tr => [...tr.children].map(td => td.textContent.replace(/\s+/g, ' ').replace(/\|/g, '\\|').trim()));
+      if (!rows.length) return '';
+      const width = Math.max(...rows.map(r => r.length));
+      const line = (r) => '| ' + Array.from({ length: width }, (_, i) => r[i] || '').join(' | ') + ' |';
+      return block([line(rows[0]), line(Array(width).fill('---')), ...rows.slice(1).map(line)].join('\n'));
+    }
+    default: return inner();
+  }
+}
+
+async function toolAIPipeProxy({ prompt, model = 'openai/gpt-4o-mini', max_tokens = 200 }, ctx) {
+  // Only an AI Pipe token is ever sent here: the selected provider's key when that is AI Pipe,
+  // else the stored AI Pipe key, else the AI Pipe login (never another provider's key)
+  const { apiKey, provider, fallbackKeys } = ctx.settings;
+  const key = await ctx.agent.resolveKey('aipipe', provider === 'aipipe' ? apiKey : (fallbackKeys?.aipipe || ''), false);
+  if (!key) return { error: 'AI Pipe token required (enter an AI Pipe key or log in via AI Pipe).' };
+
+  const url = ENDPOINTS.aipipe;
+  const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` };
+  const body = { model, messages: [{ role: 'user', content: prompt }], max_tokens };
+  const res = await ctx.fetch(url, { method: 'POST', headers, body: JSON.stringify(body), signal: ctx.signal });
+  if (!res.ok) return { error: `AI Pipe error: ${res.status} ${res.statusText}`, detail: await res.text() };
+  const data = await res.json();
+  const usage = getUsage(data);
+  ctx.agent.recordUsage({ provider: 'aipipe', model, source: 'aipipe_proxy', usage });
+  const text = data?.choices?.[0]?.message?.content || '';
+  return usage ? { text, usage } : { text };
+}
+
+// -------- Attached files (list_files / read_file) --------
+// Files live on the agent (agent.files: name -> { name, type, size, text }), scoped to the conversation.
+const FILE_PAGE_CHARS = 8000;
+
+function fileSummary(f) {
+  return { name: f.name, type: f.type, size: f.size, lines: f.text.split('\n').length };
+}
+
+// Short listing for the system prompt, so the model knows the files exist without reading them
+function filesNote(files) {
+  if (!files?.size) return '';
+  const list = [...files.values()].map(f => `- ${f.name} (${f.type}, ${formatBytes(f.size)})`).join('\n');
+  return 'The user attached these files to the conversation. Read them with read_file (paged) or, for computation, in js_exec via files.text(name), files.json(name), files.csv(name) and files.lines(name):\n' + list;
+}
+
+async function toolListFiles(args, { agent }) {
+  return { files: [...agent.files.values()].map(fileSummary) };
+}
+
+async function toolReadFile({ name, page = 1 }, { agent }) {
+  const f = agent.files.get(name);
+  if (!f) return { error: `No attached file named "${name}".`, files: [...agent.files.keys()] };
+  const pages = Math.max(1, Math.ceil(f.text.length / FILE_PAGE_CHARS));
+  const p = Math.min(Math.max(1, page | 0), pages);
+  const out = { ...fileSummary(f), page: p, pages, content: f.text.slice((p - 1) * FILE_PAGE_CHARS, p * FILE_PAGE_CHARS) };
+  if (p < pages) out.next_page = p + 1;
+  return out;
+}
+
+// -------- Citations (numbered sources from web_search / fetch_url) --------
+const CITED_TOOLS = new Set(['web_search', 'fetch_url']);
+const CITATION_INSTRUCTIONS = 'Results from web_search and fetch_url carry a numeric source_id. When a statement relies on one, cite it right after the statement as [n] (for example [2] or [1][3]), using only source_ids you were given. Do not add your own list of sources; the app shows one.';
+const CITATION_RE = /\[(\d{1,4}(?:\s*,\s*\d{1,4})*)\]/g;
+const SOURCE_SNIPPET_CHARS = 300;
+
+// Sources become clickable links outside the Markdown sanitizer, so only http(s) URLs are kept
+// (a javascript: or data: link from a search result or an imported file would run on click)
+function isWebUrl(url) {
+  try { return ['http:', 'https:'].includes(new URL(url).protocol); } catch { return false; }
+}
+
+// Adds source_id to each web_search item (or to the fetch_url page), reusing IDs for known URLs
+function assignSourceIds(sources, name, result) {
+  if (!result || result.error) return result;
+  const register = (url, title, snippet) => {
+    if (!isWebUrl(url)) return undefined;
+    for (const s of sources.values()) if (s.url === url) return s.id;
+    const id = sources.size + 1;
+    sources.set(id, { id, title: title || url, url, snippet: String(snippet || '').slice(0, SOURCE_SNIPPET_CHARS) });
+    return id;
+  };
+  if (name === 'web_search') {
+    return { ...result, items: (result.items || []).map(i => ({ ...i, source_id: register(i.link, i.title, i.snippet) })) };
+  }
+  if (name === 'fetch_url') {
+    return { source_id: register(result.url, result.title, result.description || result.content), ...result };
+  }
+  return result;
+}
+
+function collectSources(messages) {
+  const sources = new Map();
+  const add = (id, url, title, snippet) => {
+    if (Number.isInteger(id) && isWebUrl(url) && !sources.has(id)) sources.set(id, { id, title: title || url, url, snippet: String(snippet || '').slice(0, SOURCE_SNIPPET_CHARS) });
+  };
+  for (const m of messages) {
+    if (m.role !== 'tool' || !CITED_TOOLS.has(m.name)) continue;
+    const r = parseToolContent(m.content);
+    if (!r || typeof r !== 'object') continue;
+    for (const i of r.items || []) add(i.source_id, i.link, i.title, i.snippet);
+    add(r.source_id, r.url, r.title, r.description || r.content);
+  }
+  return sources;
+}
+
+
+// Source IDs cited as [n] / [n, m] in an answer, in order of first use; code is skipped and
+// numbers that aren't known sources (e.g. array indexes in prose) are ignored
+function extractCitations(text, sources) {
+  if (!sources.size || !text) return [];
+  const prose = String(text).replace(/```[\s\S]*?(```|$)/g, '').replace(/`[^`\n]*`/g, '');
+  const cited = [];
+  for (const [, list] of prose.matchAll(CITATION_RE)) {
+    const ids = list.split(',').map(n => parseInt(n, 10));
+    if (!ids.every(id => sources.has(id))) continue;
+    for (const id of ids) if (!cited.includes(id)) cited.push(id);
+  }
+  return cited;
+}
+
+// -------- Usage & prices --------
+// USD per 1M tokens: [input, output]
+const DEFAULT_PRICES = {
+  'gpt-4o-mini': [0.15, 0.60], 'gpt-4o': [2.50, 10.00], 'gpt-4.1-mini': [0.40, 1.60], 'gpt-4.1': [2.00, 8.00],
+  'openai/gpt-4o-mini': [0.15, 0.60], 'openai/gpt-4o': [2.50, 10.00], 'google/gemini-2.0-flash-lite-001': [0.075, 0.30],
+  'claude-3-5-sonnet-latest': [3.00, 15.00], 'claude-3-opus-latest': [15.00, 75.00], 'claude-3-haiku-latest': [0.25, 1.25],
+  'gemini-2.5-flash': [0.30, 2.50], 'gemini-2.0-flash': [0.10, 0.40], 'gemini-1.5-pro': [1.25, 5.00],
+  'llama3.1': [0, 0], 'qwen2.5': [0, 0] // local models
+};
+
+function emptyUsage() { return { calls: [], totals: { inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 } }; }
+
+// { inputTokens, outputTokens } from an OpenAI-shaped response (null when the provider sent none)
+function getUsage(resp) {
+  const u = resp?.usage;
+  if (!u) return null;
+  return { inputTokens: u.prompt_tokens || 0, outputTokens: u.completion_tokens || 0 };
+}
+
+function priceFor(model, { inputTokens, outputTokens }, prices = DEFAULT_PRICES) {
+  const p = prices[model];
+  return p ? (inputTokens * p[0] + outputTokens * p[1]) / 1e6 : null;
+}
+
+// -------- Node / CommonJS export (in the page these are plain globals) --------
+if (typeof module === 'object' && module.exports) {
+  module.exports = {
+    Agent, ConversationTree, DEFAULT_SETTINGS, ENDPOINTS, DEFAULT_PRICES, SEARCH_BACKENDS, CANCELLED_RESULT, RICH_OUTPUTS,
+    toolRegistry, registerTool, unregisterTool, getToolSchemas, validateSchema, checkToolArguments,
+    listModels, callProvider, clampTemperature, getAssistantMessage, getUsage, priceFor, emptyUsage, collectSources, extractCitations, isWebUrl, redactSecrets
+  };
+}
@@ -1,7 +1,10 @@
 /* LLM Agent POC — Browser Multi-Tool with OpenAI-style tool calling
-   - Providers: OpenAI, AI Pipe (OpenRouter-style), Google Gemini, Anthropic
-   - Tools: web_search (Google CSE or DDG+Wiki fallback), aipipe_proxy, js_exec
-   - UI: dark page, light colorful chat card, avatars, spinner, hidden tool/system rows
+   - agent-core.js (loaded first) holds the agent loop, providers and built-in tools; this file is
+     the page: it renders an Agent's events and adds js_exec, custom tools, sessions and settings
+   - Providers: OpenAI, AI Pipe (OpenRouter-style), Google Gemini, Anthropic, any OpenAI-compatible server
+   - Tools: registry with web_search (pluggable backends, cached), fetch_url, aipipe_proxy, js_exec
+            plus user-defined HTTP / JS tools
+   - UI: dark page, light colorful chat card, avatars, spinner, inline tool-call trace (system rows hidden)
 */
 
 "use strict";
@@ -11,13 +14,24 @@ const $ = (sel) => document.querySelector(sel);
 const chatEl     = $('#chat');
 const alertsEl   = $('#alerts');
 const codeCard   = $('#codeCard');
-const codeOutput = $('#codeOutput');
 const statusEl   = $('#status');
+const statusText = $('#statusText');
 const sendBtn    = $('#send');
+const stopBtn    = $('#stop');
 const clearBtn   = $('#clear');
 const exportBtn  = $('#export');
+const importBtn  = $('#import');
+const sessionListEl = $('#sessionList');
 
-const state = { messages: [], running: false };
+const state = { running: false, sessionId: null, sessionTitle: null };
+
+// The conversation (messages, usage, sources, files) lives on the agent; the chat is drawn from its events
+const agent = new Agent({
+  settings: () => getSettings(),
+  approve: (call, args, signal) => approveToolCall(call, args, signal),
+  resolveKey: (provider, primary) => aipipeProfileKey(provider, primary),
+  searchCache: { get: (key) => dbGet('searchCache', key), put: (record) => dbPut('searchCache', record) }
+});
 
 // -------- UI helpers --------
 function addAlert(type, msg) {
@@ -30,12 +44,36 @@ function addAlert(type, msg) {
 
 function escapeHtml(s) { return String(s).replace(/&/g,'&amp;').replace(/</g,'&lt;').replace(/>/g,'&gt;'); }
 
+// Saves `data` as a pretty-printed JSON download
+function downloadJson(filename, data) {
+  const blob = new Blob([JSON.stringify(data, null, 2)], { type: 'application/json' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url; a.download = filename; a.click();
+  URL.revokeObjectURL(url);
+}
+
 function setBusy(b) {
   state.running = !!b;
   if (b) statusEl.classList.remove('d-none'); else statusEl.classList.add('d-none');
-  sendBtn.disabled = !!b; clearBtn.disabled = !!b; exportBtn.disabled = !!b;
+  sendBtn.disabled = !!b; clearBtn.disabled = !!b; exportBtn.disabled = !!b; importBtn.disabled = !!b;
+  $('#newSession').disabled = !!b;
+  stopBtn.classList.toggle('d-none', !b);
 }
 
+function setStatusText(text) { statusText.textContent = text; }
+
+// Navbar badge with the provider/model that answered last (highlighted after a fallback)
+function showActiveModel({ provider, model }, isFallback) {
+  const el = $('#activeModel');
+  el.textContent = `${provider} · ${model}`;
+  el.className = 'badge ' + (isFallback ? 'text-bg-warning' : 'text-bg-secondary');
+  el.title = isFallback ? 'Fallback provider in use' : 'Provider in use';
+}
+
+// Signal of the running agent loop; aborted by the Stop button
+function currentSignal() { return agent.signal; }
+
 // Colorful chat bubbles with avatars (system/tool hidden)
 function addMessage(role, content) {
   if (role === 'tool' || role === 'system') return;
@@ -63,6 +101,386 @@ function addMessage(role, content) {
 
   chatEl.appendChild(row);
   chatEl.scrollTop = chatEl.scrollHeight;
+  return bubble;
+}
+
+// -------- Markdown rendering (assistant bubbles) --------
+// marked + DOMPurify + highlight.js come from the CDN; without them we fall back to escaped text.
+const JS_LANGS = new Set(['js', 'javascript', 'mjs', 'cjs', 'node']);
+
+if (window.DOMPurify) {
+  DOMPurify.addHook('afterSanitizeAttributes', (node) => {
+    if (node.tagName === 'A' && node.getAttribute('href')) {
+      node.setAttribute('target', '_blank');
+      node.setAttribute('rel', 'noopener noreferrer');
+    }
+  });
+}
+
+function markdownToSafeHtml(text) {
+  const src = String(text ?? '');
+  if (!window.marked || !window.DOMPurify) return escapeHtml(src).replace(/\n/g, '<br>');
+  const html = marked.parse(src, { gfm: true, breaks: true });
+  return DOMPurify.sanitize(html, { USE_PROFILES: { html: true } });
+}
+
+// Syntax highlighting plus Copy / "Run in js_exec" toolbars on fenced code blocks
+function enhanceCodeBlocks(root) {
+  for (const code of root.querySelectorAll('pre > code')) {
+    const pre = code.parentElement;
+    if (pre.parentElement?.classList.contains('code-block')) continue;
+    const lang = ((code.className.match(/language-([\w+-]+)/) || [])[1] || '').toLowerCase();
+    if (window.hljs) {
+      try { hljs.highlightElement(code); } catch {}
+    }
+
+    const wrap = document.createElement('div');
+    wrap.className = 'code-block';
+    const bar = document.createElement('div');
+    bar.className = 'code-toolbar';
+    bar.innerHTML = `<span class="code-lang">${escapeHtml(lang || 'text')}</span>
+      <span class="ms-auto d-flex gap-1">
+        ${JS_LANGS.has(lang) ? '<button type="button" class="btn btn-sm btn-outline-info" data-act="run"><i class="bi bi-play-fill"></i> Run in js_exec</button>' : ''}
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-act="copy"><i class="bi bi-clipboard"></i> Copy</button>
+      </span>`;
+    pre.replaceWith(wrap);
+    wrap.appendChild(bar);
+    wrap.appendChild(pre);
+
+    bar.addEventListener('click', async (e) => {
+      const btn = e.target.closest('[data-act]');
+      if (!btn) return;
+      const source = code.textContent;
+      if (btn.dataset.act === 'copy') {
+        try {
+          await navigator.clipboard.writeText(source);
+          btn.innerHTML = '<i class="bi bi-check2"></i> Copied';
+        } catch {
+          btn.innerHTML = '<i class="bi bi-x"></i> Copy failed';
+        }
+        setTimeout(() => { btn.innerHTML = '<i class="bi bi-clipboard"></i> Copy'; }, 1500);
+      } else if (btn.dataset.act === 'run') {
+        btn.disabled = true;
+        try {
+          await toolJsExec({ code: source });
+          codeCard.scrollIntoView({ behavior: 'smooth', block: 'nearest' });
+        } finally {
+          btn.disabled = false;
+        }
+      }
+    });
+  }
+}
+
+// Renders assistant Markdown into a bubble; toolbars/highlighting and the sources footer only
+// once the text is final. Returns the IDs of the sources it cites.
+function renderAssistantContent(bubble, text, { final = true, incomplete = false } = {}) {
+  bubble.classList.add('markdown');
+  bubble.innerHTML = markdownToSafeHtml(text);
+  const cited = linkCitations(bubble);
+  if (final) {
+    enhanceCodeBlocks(bubble);
+    if (cited.length) addSourcesFooter(bubble, cited);
+  }
+  if (incomplete) bubble.insertAdjacentHTML('beforeend', '<div class="small text-secondary fst-italic mt-1">Incomplete: the provider failed while answering.</div>');
+  return cited;
+}
+
+// -------- Citations (numbered sources from web_search / fetch_url) --------
+// Source IDs are stamped into the tool results themselves, so reloading or importing a
+// conversation rebuilds the same numbering from its history.
+// Turns [n] markers (outside code and links) into superscript links with a hover preview;
+// returns the cited source IDs in order of first use.
+function linkCitations(root) {
+  const cited = [];
+  if (!agent.sources.size) return cited;
+  const walker = document.createTreeWalker(root, NodeFilter.SHOW_TEXT, {
+    acceptNode: (n) => n.parentElement?.closest('pre, code, a') ? NodeFilter.FILTER_REJECT : NodeFilter.FILTER_ACCEPT
+  });
+  const nodes = [];
+  while (walker.nextNode()) if (walker.currentNode.textContent.search(CITATION_RE) !== -1) nodes.push(walker.currentNode);
+
+  for (const node of nodes) {
+    const frag = document.createDocumentFragment();
+    let last = 0;
+    const text = node.textContent;
+    for (const match of text.matchAll(CITATION_RE)) {
+      const ids = match[1].split(',').map(Number);
+      if (!ids.every(id => agent.sources.has(id))) continue;
+      frag.append(text.slice(last, match.index));
+      for (const id of ids) {
+        frag.append(citationMarker(agent.sources.get(id)));
+        if (!cited.includes(id)) cited.push(id);
+      }
+      last = match.index + match[0].length;
+    }
+    frag.append(text.slice(last));
+    node.replaceWith(frag);
+  }
+  return cited;
+}
+
+function citationMarker(source) {
+  const sup = document.createElement('sup');
+  sup.className = 'citation';
+  const a = document.createElement('a');
+  if (isWebUrl(source.url)) { a.href = source.url; a.target = '_blank'; a.rel = 'noopener noreferrer'; }
+  a.textContent = source.id;
+  const card = document.createElement('span');
+  card.className = 'citation-card';
+  const title = document.createElement('b');
+  title.textContent = source.title;
+  const host = document.createElement('small');
+  host.textContent = hostOf(source.url);
+  card.append(title, host, source.snippet);
+  sup.append(a, card);
+  return sup;
+}
+
+function hostOf(url) {
+  try { return new URL(url).hostname; } catch { return url; }
+}
+
+function addSourcesFooter(bubble, ids) {
+  const footer = document.createElement('div');
+  footer.className = 'citation-sources';
+  footer.innerHTML = '<div class="tool-trace-label">Sources</div><ol></ol>';
+  const list = footer.querySelector('ol');
+  for (const id of ids) {
+    const s = agent.sources.get(id);
+    const li = document.createElement('li');
+    li.value = id;
+    const href = isWebUrl(s.url) ? ` href="${escapeHtml(s.url).replace(/"/g, '&quot;')}" target="_blank" rel="noopener noreferrer"` : '';
+    li.innerHTML = `<a${href}>${escapeHtml(s.title)}</a> <small class="text-secondary">${escapeHtml(hostOf(s.url))}</small>`;
+    list.appendChild(li);
+  }
+  bubble.appendChild(footer);
+}
+
+// -------- Tool-call trace (inline, collapsible cards) --------
+const TRACE_PREVIEW_CHARS = 1500;
+
+const TRACE_STATUS_CLASS = { ok: 'text-bg-success', error: 'text-bg-danger', cancelled: 'text-bg-secondary', denied: 'text-bg-warning' };
+
+function setToolTraceStatus(card, status) {
+  const badge = card.querySelector('.tool-status');
+  badge.textContent = status;
+  badge.className = 'badge tool-status ' + (TRACE_STATUS_CLASS[status] || 'text-bg-info');
+}
+
+// Container for the tool cards of one assistant turn, linked to its bubble (if it had text)
+function addToolTraceGroup(msgIndex, bubble) {
+  const row = bubble?.closest('.message');
+  if (row) row.id = `msg-${msgIndex}`;
+  const group = document.createElement('div');
+  group.className = 'tool-trace-group';
+  group.dataset.msgIndex = msgIndex;
+  group.innerHTML = row
+    ? `<a class="tool-trace-link" href="#msg-${msgIndex}" title="Jump to the assistant message that issued these calls"><i class="bi bi-arrow-return-right"></i> tool calls from this turn</a>`
+    : '<span class="tool-trace-link"><i class="bi bi-arrow-return-right"></i> tool calls (assistant sent no text)</span>';
+  chatEl.appendChild(group);
+  return group;
+}
+
+function addToolTrace(group, tc, args) {
+  const card = document.createElement('details');
+  card.className = 'tool-trace';
+  card.dataset.toolCallId = tc.id || '';
+  card.innerHTML = `
+    <summary>
+      <i class="bi bi-tools"></i>
+      <span class="tool-name">${escapeHtml(tc.function?.name || 'tool')}</span>
+      <span class="badge tool-status text-bg-info">running</span>
+      <span class="tool-duration small opacity-75"></span>
+    </summary>
+    <div class="tool-trace-body">
+      <div class="tool-trace-label">Arguments</div>
+      <pre class="tool-args"></pre>
+      <div class="tool-trace-label">Result</div>
+      <pre class="tool-result">…</pre>
+    </div>`;
+  card.querySelector('.tool-args').textContent = JSON.stringify(args, null, 2);
+  group.appendChild(card);
+  chatEl.scrollTop = chatEl.scrollHeight;
+  return card;
+}
+
+function setToolTraceResult(card, result, meta = {}) {
+  setToolTraceStatus(card, meta.status || toolStatus(result));
+  if (meta.durationMs != null) card.querySelector('.tool-duration').textContent = `${meta.durationMs} ms`;
+
+  const full = typeof result === 'string' ? result : JSON.stringify(result, null, 2);
+  const pre = card.querySelector('.tool-result');
+  pre.textContent = full.length > TRACE_PREVIEW_CHARS ? full.slice(0, TRACE_PREVIEW_CHARS) + '…' : full;
+  if (full.length > TRACE_PREVIEW_CHARS) {
+    const more = document.createElement('button');
+    more.type = 'button';
+    more.className = 'btn btn-sm btn-link p-0';
+    more.textContent = `Show full result (${full.length.toLocaleString()} chars)`;
+    more.addEventListener('click', () => { pre.textContent = full; more.remove(); });
+    pre.after(more);
+  }
+}
+
+function setTraceVisible(show) {
+  chatEl.classList.toggle('hide-trace', !show);
+  try { localStorage.setItem('showToolTrace', show ? '1' : '0'); } catch {}
+}
+
+// -------- Rich js_exec outputs (tables / charts / images) --------
+// Kept off the JSON the model sees (RICH_OUTPUTS key, see agent-core.js); the model gets a short summary of each.
+const SAFE_IMAGE_RE = /^data:image\/(png|jpeg|gif|webp);base64,/;
+
+function summarizeOutput(o) {
+  if (o.kind === 'table') return { kind: 'table', title: o.title, columns: o.columns, rows: o.totalRows, shown_to_user: true };
+  if (o.kind === 'chart') return { kind: 'chart', type: o.spec?.type || 'bar', title: o.spec?.title || o.spec?.options?.plugins?.title?.text, shown_to_user: true };
+  return { kind: o.kind, width: o.width, height: o.height, shown_to_user: true };
+}
+
+// Rendered right after the tool's trace card; stays visible when the trace is hidden
+function renderToolOutputs(card, outputs) {
+  card.nextElementSibling?.classList.contains('tool-outputs') && card.nextElementSibling.remove();
+  card.after(renderOutputs(outputs));
+}
+
+function renderOutputs(outputs) {
+  const wrap = document.createElement('div');
+  wrap.className = 'tool-outputs';
+  for (const o of outputs) {
+    const box = document.createElement('figure');
+    box.className = 'tool-output';
+    const title = o.title || (o.kind === 'chart' && o.spec?.title);
+    if (title) {
+      const cap = document.createElement('figcaption');
+      cap.textContent = title;
+      box.appendChild(cap);
+    }
+    if (o.kind === 'table') box.appendChild(renderTableOutput(o));
+    else if (o.kind === 'chart') box.appendChild(renderChartOutput(o.spec));
+    else if (o.kind === 'image' && SAFE_IMAGE_RE.test(o.src || '')) {
+      const img = document.createElement('img');
+      img.src = o.src; img.alt = o.alt || ''; img.className = 'img-fluid';
+      box.appendChild(img);
+    } else continue;
+    wrap.appendChild(box);
+  }
+  return wrap;
+}
+
+function compareCells(a, b) {
+  if (a == null) return b == null ? 0 : 1;
+  if (b == null) return -1;
+  if (typeof a === 'number' && typeof b === 'number') return a - b;
+  return String(a).localeCompare(String(b), undefined, { numeric: true });
+}
+
+// Click a header to sort by that column; click again to reverse
+function renderTableOutput({ columns, rows, totalRows }) {
+  const holder = document.createElement('div');
+  holder.className = 'table-responsive output-table';
+  holder.innerHTML = `<table class="table table-sm table-striped table-hover mb-0"><thead><tr></tr></thead><tbody></tbody></table>`;
+  const headRow = holder.querySelector('thead tr');
+  const tbody = holder.querySelector('tbody');
+  let sortCol = -1, dir = 1;
+
+  const fill = () => {
+    const sorted = sortCol < 0 ? rows : [...rows].sort((a, b) => dir * compareCells(a[sortCol], b[sortCol]));
+    tbody.innerHTML = sorted.map(r => '<tr>' + r.map(v => `<td${typeof v === 'number' ? ' class="text-end"' : ''}>${v == null ? '' : escapeHtml(v)}</td>`).join('') + '</tr>').join('');
+    headRow.querySelectorAll('th').forEach((th, i) => { th.dataset.sort = i === sortCol ? (dir > 0 ? 'asc' : 'desc') : ''; });
+  };
+  columns.forEach((c, i) => {
+    const th = document.createElement('th');
+    th.scope = 'col';
+    th.textContent = c;
+    th.addEventListener('click', () => { dir = sortCol === i ? -dir : 1; sortCol = i; fill(); });
+    headRow.appendChild(th);
+  });
+  fill();
+  if (totalRows > rows.length) {
+    const note = document.createElement('div');
+    note.className = 'small text-secondary mt-1';
+    note.textContent = `Showing ${rows.length.toLocaleString()} of ${totalRows.toLocaleString()} rows`;
+    holder.appendChild(note);
+  }
+  return holder;
+}
+
+// Accepts a Chart.js config ({ type, data, options }) or the shorthand { type, title, labels, datasets }
+function chartConfig(spec) {
+  const data = spec.data || { labels: spec.labels || [], datasets: spec.datasets || [] };
+  const options = { responsive: true, maintainAspectRatio: false, ...(spec.options || {}) };
+  if (spec.title) options.plugins = { ...(options.plugins || {}), title: { display: true, text: String(spec.title) } };
+  return { type: spec.type || 'bar', data, options };
+}
+
+function renderChartOutput(spec) {
+  const config = chartConfig(spec);
+  // Without Chart.js (CDN blocked) the data is shown as a table instead
+  if (!window.Chart) {
+    const labels = config.data.labels || [];
+    const sets = config.data.datasets || [];
+    return renderTableOutput({
+      columns: ['label', ...sets.map((d, i) => d.label || `series ${i + 1}`)],
+      rows: labels.map((l, r) => [l, ...sets.map(d => d.data?.[r] ?? null)]),
+      totalRows: labels.length
+    });
+  }
+  const holder = document.createElement('div');
+  holder.className = 'output-chart';
+  const canvas = document.createElement('canvas');
+  holder.appendChild(canvas);
+  // Created once the canvas is in the document, so Chart.js can measure it
+  setTimeout(() => {
+    try { new Chart(canvas, config); } catch (err) { holder.textContent = 'Chart error: ' + (err?.message || err); }
+  }, 0);
+  return holder;
+}
+
+// -------- js_exec run history (code card) --------
+const RUN_HISTORY_LIMIT = 50;
+let runCount = 0;
+
+function formatRunOutput({ logs, result, error }) {
+  const lines = [];
+  if (logs?.length) { lines.push('/* console */'); for (const l of logs) lines.push('> ' + l); lines.push(''); }
+  if (error) { lines.push('/* error */'); lines.push(String(error)); }
+  else { lines.push('/* result */'); lines.push(typeof result === 'string' ? result : JSON.stringify(result, null, 2)); }
+  return lines.join('\n');
+}
+
+// Newest run first and expanded; earlier runs collapse but stay available
+function addRun(code, out) {
+  const list = $('#runHistory');
+  codeCard.classList.remove('d-none');
+  list.querySelectorAll('details[open]').forEach(d => { d.open = false; });
+
+  const status = toolStatus(out);
+  const entry = document.createElement('details');
+  entry.className = 'run-entry';
+  entry.open = true;
+  entry.innerHTML = `
+    <summary>
+      <span class="fw-semibold">Run #${++runCount}</span>
+      <span class="badge ${TRACE_STATUS_CLASS[status] || 'text-bg-info'}">${status}</span>
+      <span class="small opacity-75">${new Date().toLocaleTimeString()} · ${out.durationMs ?? 0} ms</span>
+    </summary>
+    <pre class="run-code"><code class="language-javascript"></code></pre>
+    <pre class="run-output"></pre>`;
+  const codeEl = entry.querySelector('.run-code code');
+  codeEl.textContent = code || '';
+  if (window.hljs) { try { hljs.highlightElement(codeEl); } catch {} }
+  entry.querySelector('.run-output').textContent = formatRunOutput(out);
+  if (out[RICH_OUTPUTS]) entry.appendChild(renderOutputs(out[RICH_OUTPUTS]));
+
+  list.prepend(entry);
+  while (list.children.length > RUN_HISTORY_LIMIT) list.lastElementChild.remove();
+  $('#runCount').textContent = runCount;
+}
+
+function clearRunHistory() {
+  $('#runHistory').innerHTML = '';
+  runCount = 0;
+  codeCard.classList.add('d-none');
 }
 
 // -------- Settings --------
@@ -70,77 +488,317 @@ function getSettings() {
   return {
     provider:  $('#provider').value,
     apiKey:    $('#apiKey').value.trim(),
-    model:     $('#model').value,
+    model:     $('#customModel').value.trim() || $('#model').value,
+    baseUrl:   $('#baseUrl').value.trim(),
     maxTokens: parseInt($('#maxTokens').value || '800', 10),
+    temperature: clampTemperature(parseFloat($('#temperature').value), $('#provider').value),
+    systemPrompt: $('#systemPrompt').value.trim(),
+    stream:    $('#stream').checked,
+    retries:   Math.max(0, parseInt($('#retryCount').value || '2', 10)),
+    fallbacks: parseFallbackChain($('#fallbackChain').value),
+    fallbackKeys: {
+      openai:    $('#fallbackKeyOpenai').value.trim(),
+      aipipe:    $('#fallbackKeyAipipe').value.trim(),
+      anthropic: $('#fallbackKeyAnthropic').value.trim(),
+      gemini:    $('#fallbackKeyGemini').value.trim(),
+      compatible: $('#fallbackKeyCompatible').value.trim()
+    },
+    jsTimeoutMs:   Math.max(100, Math.round(parseFloat($('#jsTimeout').value || '10') * 1000)),
+    jsMaxLogLines: Math.max(1, parseInt($('#jsMaxLogLines').value || '200', 10)),
+    jsMaxLogChars: Math.max(80, parseInt($('#jsMaxLogChars').value || '2000', 10)),
+    toolConcurrency: Math.max(1, parseInt($('#toolConcurrency').value || '4', 10)),
+    contextTokens: Math.max(1000, parseInt($('#contextTokens').value || '16000', 10)),
+    toolResultMaxChars: Math.max(200, parseInt($('#toolResultMaxChars').value || '4000', 10)),
+    summarize: $('#summarizeHistory').checked,
+    summaryModel: parseFallbackChain($('#summaryModel').value)[0] || null,
     googleKey: $('#googleKey').value.trim(),
-    googleCx:  $('#googleCx').value.trim()
+    googleCx:  $('#googleCx').value.trim(),
+    braveKey:  $('#braveKey').value.trim(),
+    bingKey:   $('#bingKey').value.trim(),
+    searxngUrl: $('#searxngUrl').value.trim(),
+    searchOrder: parseSearchOrder($('#searchOrder').value),
+    searchCacheTtlMin: Math.max(0, parseFloat($('#searchCacheTtl').value || '0')),
+    corsProxy: $('#corsProxy').value.trim(),
+    fetchPageChars: Math.max(1000, parseInt($('#fetchPageChars').value || '8000', 10)),
+    prices: priceTable
   };
 }
 
-function validateApiKeyOrWarn(provider, key) {
-  const trimmed = (key || '').trim();
-  if (!trimmed) {
-    if (provider === 'aipipe') return true; // we'll try getProfile() dynamically
-    addAlert('warning', 'Missing API key/token for ' + provider + '.');
-    return false;
-  }
-  if (provider === 'openai' && !/^sk-[A-Za-z0-9]/.test(trimmed)) {
-    addAlert('warning', 'That does not look like an OpenAI key (should start with "sk-").');
-    return false;
-  }
-  if (provider === 'aipipe' && trimmed.length < 20) {
-    addAlert('warning', 'AI Pipe token looks too short.');
-    return false;
-  }
-  return true;
-}
-
-// -------- Tool schema (OpenAI-style) --------
-const tools = [
-  {
-    type: "function",
-    function: {
-      name: "web_search",
-      description: "Search the web for top snippets (Google CSE if keys provided; otherwise DDG/Wikipedia fallback).",
-      parameters: {
-        type: "object",
-        properties: {
-          q:   { type: "string",  description: "Search query" },
-          num: { type: "integer", description: "Number of results", default: 3, minimum: 1, maximum: 10 }
-        },
-        required: ["q"]
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "aipipe_proxy",
-      description: "Call AI Pipe OpenRouter-compatible chat endpoint to get a short completion.",
-      parameters: {
-        type: "object",
-        properties: {
-          prompt:     { type: "string" },
-          model:      { type: "string", description: "Model on AI Pipe", default: "openai/gpt-4o-mini" },
-          max_tokens: { type: "integer", default: 200 }
-        },
-        required: ["prompt"]
-      }
-    }
-  },
-  {
-    type: "function",
-    function: {
-      name: "js_exec",
-      description: "Securely execute JavaScript code in a sandboxed Worker; return logs & result.",
-      parameters: {
-        type: "object",
-        properties: { code: { type: "string", description: "JavaScript code to run" } },
-        required: ["code"]
-      }
+// One "provider:model" per line (or comma-separated), e.g. "anthropic:claude-3-5-sonnet-latest"
+function parseFallbackChain(text) {
+  return String(text || '').split(/[\n,]+/).map(l => l.trim()).filter(Boolean).map((l) => {
+    const i = l.indexOf(':');
+    return i > 0 ? { provider: l.slice(0, i).trim(), model: l.slice(i + 1).trim() } : null;
+  }).filter(f => f && MODEL_OPTIONS[f.provider] && f.model);
+}
+
+// Key lookup for the agent when none is configured: AI Pipe falls back to the logged-in profile.
+// Without one the primary target points the user to the login page (in a new tab, so the
+// conversation and any unsaved keys stay put).
+async function aipipeProfileKey(provider, primary) {
+  if (provider !== 'aipipe') return '';
+  try {
+    const mod = await import('https://aipipe.org/aipipe.js');
+    const profile = mod?.getProfile?.();
+    if (profile?.token) return profile.token;
+    if (primary) {
+      const login = `https://aipipe.org/login?redirect=${encodeURIComponent(window.location.href)}`;
+      addAlert('warning', `No AI Pipe token. <a href="${escapeHtml(login)}" target="_blank" rel="noopener">Log in to AI Pipe</a>, then send again — or paste the token into the API key field.`);
     }
+    return null;
+  } catch {
+    addAlert('warning', 'Could not load AI Pipe profile. Enter your AI Pipe token manually.');
+    return null;
+  }
+}
+
+// -------- Saved keys --------
+// One key per provider (the fallback key fields; #apiKey mirrors the selected provider's) plus the
+// web search keys, remembered in localStorage under CREDENTIALS_KEY as
+//   { version: 1, keys }                                         (plain), or
+//   { version: 1, kdf: { name: 'PBKDF2', hash, iterations, salt }, iv, ciphertext }   (encrypted)
+// Encrypted records use AES-GCM with a key derived from the passphrase; the derived key lives
+// only in memory, so the passphrase is asked for once per page load.
+const CREDENTIALS_KEY = 'credentials';
+const PBKDF2_ITERATIONS = 310000;
+const PROVIDER_KEY_INPUTS = {
+  openai: 'fallbackKeyOpenai', aipipe: 'fallbackKeyAipipe', anthropic: 'fallbackKeyAnthropic',
+  gemini: 'fallbackKeyGemini', compatible: 'fallbackKeyCompatible'
+};
+const SEARCH_KEY_INPUTS = ['googleKey', 'googleCx', 'braveKey', 'bingKey'];
+
+// status: 'none' (nothing saved), 'plain', 'locked' (encrypted, not unlocked yet), 'unlocked'
+let keyStore = { status: 'none', cryptoKey: null, salt: null, iterations: PBKDF2_ITERATIONS };
+
+function toBase64(bytes) { return btoa(String.fromCharCode(...new Uint8Array(bytes))); }
+function fromBase64(text) { return Uint8Array.from(atob(text), c => c.charCodeAt(0)); }
+
+function readStoredKeys() {
+  try { return JSON.parse(localStorage.getItem(CREDENTIALS_KEY) || 'null'); } catch { return null; }
+}
+
+async function derivePassphraseKey(passphrase, salt, iterations) {
+  const material = await crypto.subtle.importKey('raw', new TextEncoder().encode(passphrase), 'PBKDF2', false, ['deriveKey']);
+  return crypto.subtle.deriveKey(
+    { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+    material, { name: 'AES-GCM', length: 256 }, false, ['encrypt', 'decrypt']
+  );
+}
+
+function collectKeys() {
+  const providers = {};
+  for (const [provider, id] of Object.entries(PROVIDER_KEY_INPUTS)) {
+    const value = $('#' + id).value.trim();
+    if (value) providers[provider] = value;
+  }
+  const keys = { providers };
+  for (const id of SEARCH_KEY_INPUTS) {
+    const value = $('#' + id).value.trim();
+    if (value) keys[id] = value;
+  }
+  return keys;
+}
+
+function fillKeys(keys) {
+  for (const [provider, id] of Object.entries(PROVIDER_KEY_INPUTS)) $('#' + id).value = keys?.providers?.[provider] || '';
+  for (const id of SEARCH_KEY_INPUTS) $('#' + id).value = keys?.[id] || '';
+  syncProviderKey();
+}
+
+// The API key field shows the selected provider's key; typing into it updates that provider's key
+function syncProviderKey() {
+  const id = PROVIDER_KEY_INPUTS[$('#provider').value];
+  $('#apiKey').value = id ? $('#' + id).value : '';
+}
+
+async function saveKeys() {
+  if (!$('#rememberKeys').checked || keyStore.status === 'locked') return;
+  const keys = collectKeys();
+  let record;
+  if (keyStore.cryptoKey) {
+    const iv = crypto.getRandomValues(new Uint8Array(12));
+    const ciphertext = await crypto.subtle.encrypt({ name: 'AES-GCM', iv }, keyStore.cryptoKey, new TextEncoder().encode(JSON.stringify(keys)));
+    record = {
+      version: 1,
+      kdf: { name: 'PBKDF2', hash: 'SHA-256', iterations: keyStore.iterations, salt: toBase64(keyStore.salt) },
+      iv: toBase64(iv),
+      ciphertext: toBase64(ciphertext)
+    };
+    keyStore.status = 'unlocked';
+  } else {
+    record = { version: 1, keys };
+    keyStore.status = 'plain';
+  }
+  try { localStorage.setItem(CREDENTIALS_KEY, JSON.stringify(record)); } catch {}
+  renderKeyStoreStatus();
+}
+
+// Wrong passphrases fail AES-GCM authentication and throw
+async function unlockKeys(passphrase) {
+  const record = readStoredKeys();
+  if (!record?.ciphertext) throw new Error('No encrypted keys are saved.');
+  const salt = fromBase64(record.kdf.salt);
+  const iterations = record.kdf.iterations || PBKDF2_ITERATIONS;
+  const cryptoKey = await derivePassphraseKey(passphrase, salt, iterations);
+  let keys;
+  try {
+    const plain = await crypto.subtle.decrypt({ name: 'AES-GCM', iv: fromBase64(record.iv) }, cryptoKey, fromBase64(record.ciphertext));
+    keys = JSON.parse(new TextDecoder().decode(plain));
+  } catch {
+    throw new Error('Wrong passphrase.');
   }
-];
+  keyStore = { status: 'unlocked', cryptoKey, salt, iterations };
+  fillKeys(keys);
+  renderKeyStoreStatus();
+}
+
+// Re-encrypts the current keys under a new passphrase (an empty one stores them as plain text)
+async function encryptKeys(passphrase) {
+  if (keyStore.status === 'locked') throw new Error('Unlock the saved keys first.');
+  if (passphrase) {
+    const salt = crypto.getRandomValues(new Uint8Array(16));
+    keyStore = { status: 'unlocked', cryptoKey: await derivePassphraseKey(passphrase, salt, PBKDF2_ITERATIONS), salt, iterations: PBKDF2_ITERATIONS };
+  } else {
+    keyStore = { status: 'plain', cryptoKey: null, salt: null, iterations: PBKDF2_ITERATIONS };
+  }
+  $('#rememberKeys').checked = true;
+  await saveKeys();
+}
+
+// Clears the keys from the page; the encrypted copy stays saved
+function lockKeys() {
+  if (keyStore.status !== 'unlocked') return;
+  keyStore = { status: 'locked', cryptoKey: null, salt: null, iterations: PBKDF2_ITERATIONS };
+  fillKeys(null);
+  agent.usedKeys.clear();
+  renderKeyStoreStatus();
+}
+
+function forgetKeys() {
+  try { localStorage.removeItem(CREDENTIALS_KEY); } catch {}
+  keyStore = { status: 'none', cryptoKey: null, salt: null, iterations: PBKDF2_ITERATIONS };
+  $('#rememberKeys').checked = false;
+  renderKeyStoreStatus();
+}
+
+function loadKeys() {
+  const record = readStoredKeys();
+  if (!record) return renderKeyStoreStatus();
+  $('#rememberKeys').checked = true;
+  if (record.ciphertext) {
+    keyStore.status = 'locked';
+    showUnlockDialog();
+  } else {
+    keyStore.status = 'plain';
+    fillKeys(record.keys);
+  }
+  renderKeyStoreStatus();
+}
+
+function renderKeyStoreStatus() {
+  const labels = {
+    none:     ['not saved', 'secondary'],
+    plain:    ['saved, not encrypted', 'warning'],
+    locked:   ['encrypted, locked', 'info'],
+    unlocked: ['encrypted, unlocked', 'success']
+  };
+  const [text, color] = labels[keyStore.status];
+  const badge = $('#keyStoreStatus');
+  badge.textContent = text;
+  badge.className = `badge text-bg-${color} ms-1`;
+  $('#unlockKeys').classList.toggle('d-none', keyStore.status !== 'locked');
+  $('#lockKeys').classList.toggle('d-none', keyStore.status !== 'unlocked');
+}
+
+function showUnlockDialog() {
+  $('#unlockPassphrase').value = '';
+  $('#unlockError').textContent = '';
+  bootstrap.Modal.getOrCreateInstance($('#unlockModal')).show();
+}
+
+// -------- Tool approval (human in the loop) --------
+// Per-tool policy: 'allow' (run immediately), 'ask' (approval dialog), 'never' (blocked).
+const TOOL_POLICY_KEY = 'toolPolicy';
+const TOOL_POLICIES = { allow: 'Always allow', ask: 'Ask every time', never: 'Never' };
+let toolPolicies = {};
+
+function loadToolPolicies() {
+  try { toolPolicies = JSON.parse(localStorage.getItem(TOOL_POLICY_KEY) || '{}') || {}; } catch { toolPolicies = {}; }
+}
+
+function getToolPolicy(name) { return TOOL_POLICIES[toolPolicies[name]] ? toolPolicies[name] : 'allow'; }
+
+function setToolPolicy(name, policy) {
+  if (policy === 'allow') delete toolPolicies[name]; else toolPolicies[name] = policy;
+  try { localStorage.setItem(TOOL_POLICY_KEY, JSON.stringify(toolPolicies)); } catch {}
+}
+
+// Resolves to { args, edited } when the call may run, or { result } to send back instead
+async function approveToolCall(tc, args, signal) {
+  const name = tc.function?.name;
+  const policy = getToolPolicy(name);
+  if (policy === 'allow' || !toolRegistry.has(name)) return { args };
+  if (policy === 'never') {
+    return { result: { error: 'denied', message: `The user has blocked "${name}". Do not call it again; continue without it.` } };
+  }
+  const card = traceCards.get(tc);
+  if (card) setToolTraceStatus(card, 'awaiting approval');
+  const answer = await requestApproval(name, args, signal);
+  if (answer.cancelled) return { result: CANCELLED_RESULT };
+  if (!answer.approved) {
+    return { result: { error: 'denied_by_user', message: `The user declined to run "${name}".`, reason: answer.reason || undefined } };
+  }
+  return { args: answer.args, edited: answer.edited };
+}
+
+// Dialogs are shown one at a time, in the order the calls were made
+let approvalQueue = Promise.resolve();
+function requestApproval(name, args, signal) {
+  const next = approvalQueue.then(() => showApprovalDialog(name, args, signal));
+  approvalQueue = next.catch(() => {});
+  return next;
+}
+
+// The answer is delivered once the hide transition has finished: Bootstrap ignores show()/hide()
+// while a transition is running, so the next queued dialog must not open before then.
+function showApprovalDialog(name, args, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve({ cancelled: true });
+    const modalEl = $('#approvalModal');
+    const modal = bootstrap.Modal.getOrCreateInstance(modalEl);
+    const argsEl = $('#approvalArgs'), errEl = $('#approvalError'), reasonEl = $('#approvalReason');
+    $('#approvalTool').textContent = name;
+    argsEl.value = JSON.stringify(args, null, 2);
+    errEl.textContent = '';
+    reasonEl.value = '';
+
+    let shown = false, answer = null;
+    modalEl.addEventListener('shown.bs.modal', () => { shown = true; if (answer) modal.hide(); }, { once: true });
+    modalEl.addEventListener('hidden.bs.modal', () => resolve(answer), { once: true });
+
+    const done = (result) => {
+      if (answer) return;
+      answer = result;
+      $('#approvalRun').onclick = $('#approvalDeny').onclick = $('#approvalStop').onclick = null;
+      signal?.removeEventListener('abort', onAbort);
+      if (shown) modal.hide();
+    };
+    const onAbort = () => done({ cancelled: true });
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    $('#approvalRun').onclick = () => {
+      let edited;
+      try { edited = JSON.parse(argsEl.value || '{}'); } catch (err) { errEl.textContent = 'Invalid JSON: ' + err.message; return; }
+      const { value, errors } = validateSchema(toolRegistry.get(name)?.parameters, edited);
+      if (errors.length) { errEl.textContent = errors.map(e => `${e.path} ${e.message}`).join('; '); return; }
+      done({ approved: true, args: value, edited: JSON.stringify(value) !== JSON.stringify(args) });
+    };
+    $('#approvalDeny').onclick = () => done({ approved: false, reason: reasonEl.value.trim() });
+    // The static backdrop covers the page's Stop button; stopping aborts the signal, which closes the dialog
+    $('#approvalStop').onclick = () => agent.stop();
+    modal.show();
+  });
+}
 
 // -------- Model dropdown options --------
 const MODEL_OPTIONS = {
@@ -164,421 +822,1401 @@ const MODEL_OPTIONS = {
     { value: "gemini-2.5-flash", label: "gemini-2.5-flash (default)" },
     { value: "gemini-2.0-flash", label: "gemini-2.0-flash" },
     { value: "gemini-1.5-pro",   label: "gemini-1.5-pro" }
+  ],
+  // Ollama / llama.cpp server / vLLM / LM Studio — use "Refresh models" to list what is loaded
+  compatible: [
+    { value: "llama3.1", label: "llama3.1 (default)" },
+    { value: "qwen2.5",  label: "qwen2.5" }
   ]
 };
 
+// Keeps the current model selected when it is still offered (e.g. after "Refresh models")
 function populateModelOptions() {
   const provider = $('#provider').value || 'openai';
   const sel = $('#model');
+  const previous = sel.value;
   sel.innerHTML = '';
-  const opts = MODEL_OPTIONS[provider] || MODEL_OPTIONS.openai;
+  const opts = discoveredModels[provider] || MODEL_OPTIONS[provider] || MODEL_OPTIONS.openai;
   for (const o of opts) {
     const opt = document.createElement('option');
     opt.value = o.value; opt.textContent = o.label; sel.appendChild(opt);
   }
+  if (opts.some(o => o.value === previous)) sel.value = previous;
+  $('#baseUrlGroup').classList.toggle('d-none', provider !== 'compatible');
+}
+
+// -------- Model discovery ("Refresh models") --------
+// Listed models replace the built-in suggestions for that provider until the page reloads;
+// the price table keeps using MODEL_OPTIONS.
+const discoveredModels = {};
+
+async function refreshModels() {
+  const { provider, apiKey, baseUrl } = getSettings();
+  const btn = $('#refreshModels');
+  btn.disabled = true;
+  try {
+    const key = await agent.resolveKey(provider, apiKey, false);
+    if (key == null) {
+      // A key that was entered but rejected has already raised a notice
+      if (!apiKey) addAlert('warning', provider === 'aipipe'
+        ? 'Listing AI Pipe models needs a token: paste it into the API key field or log in to AI Pipe.'
+        : `Listing ${escapeHtml(provider)} models needs an API key. Enter it in the API key field.`);
+      return;
+    }
+    const models = await listModels(provider, key, baseUrl);
+    if (!models.length) { addAlert('warning', `No models returned by ${escapeHtml(provider)}.`); return; }
+    discoveredModels[provider] = models;
+    populateModelOptions();
+    addAlert('success', `Loaded ${models.length} models from ${escapeHtml(provider)}.`);
+  } catch (err) {
+    addAlert('danger', `Could not list ${escapeHtml(provider)} models: ` + escapeHtml(err?.message || String(err)));
+  } finally {
+    btn.disabled = false;
+  }
 }
 
-/* -------------------------------
-   SANITIZER: Remove empty tool_calls etc.
-   ------------------------------- */
-function sanitizeMessagesForOpenAI(messages) {
-  return messages.map((m) => {
-    const out = { role: m.role };
-
-    // Common content handling
-    const asString = (v) => (typeof v === 'string' ? v : (v == null ? '' : JSON.stringify(v)));
-
-    if (m.role === 'assistant') {
-      const tc = Array.isArray(m.tool_calls) ? m.tool_calls.filter(Boolean) : [];
-      if (tc.length > 0) {
-        // Keep tool_calls, ensure proper shape, set content to null if empty
-        out.tool_calls = tc.map((t) => ({
-          id: t.id,
-          type: 'function',
-          function: {
-            name: t.function?.name,
-            arguments: typeof t.function?.arguments === 'string'
-              ? t.function.arguments
-              : JSON.stringify(t.function?.arguments || {})
-          }
-        }));
-        const c = (m.content ?? '').toString().trim();
-        out.content = c.length ? c : null; // OpenAI allows null when using tool_calls
+// JS sandbox via Worker
+// Worker source: console shim (log/info/debug/warn/error/table) and a bounded,
+// structured-clone-safe serializer for results and logged values.
+const JS_WORKER_SOURCE = `
+  "use strict";
+  let LIMITS = { maxLogLines: 200, maxDepth: 6, maxItems: 100, maxString: 10000, maxOutputs: 20, maxTableRows: 1000, maxImageChars: 4000000 };
+  let logCount = 0, dropped = 0;
+
+  function ser(v, depth = 0, seen = new Set()) {
+    const t = typeof v;
+    if (v === null || t === 'boolean') return v;
+    if (t === 'undefined') return undefined;
+    if (t === 'number') return Number.isFinite(v) ? v : String(v);
+    if (t === 'bigint') return v.toString() + 'n';
+    if (t === 'symbol') return v.toString();
+    if (t === 'function') return '[Function ' + (v.name || 'anonymous') + ']';
+    if (t === 'string') {
+      return v.length > LIMITS.maxString
+        ? v.slice(0, LIMITS.maxString) + '… [' + (v.length - LIMITS.maxString) + ' more chars]'
+        : v;
+    }
+    if (seen.has(v)) return '[Circular]';
+    const ctor = (v.constructor && v.constructor.name) || 'Object';
+    if (depth >= LIMITS.maxDepth) return '[' + ctor + ']';
+    const next = (x) => ser(x, depth + 1, seen);
+    const list = (iter, size) => {
+      const out = [];
+      for (const x of iter) { if (out.length >= LIMITS.maxItems) break; out.push(x); }
+      return { items: out, more: Math.max(0, size - out.length) };
+    };
+    seen.add(v);
+    try {
+      if (v instanceof Error) {
+        const out = { $type: v.name || 'Error', message: next(v.message) };
+        if (v.stack) out.stack = next(String(v.stack));
+        if (v.cause !== undefined) out.cause = next(v.cause);
+        return out;
+      }
+      if (v instanceof Date) return { $type: 'Date', value: isNaN(v) ? 'Invalid Date' : v.toISOString() };
+      if (v instanceof RegExp) return { $type: 'RegExp', value: String(v) };
+      if (v instanceof Map) {
+        const { items, more } = list(v.entries(), v.size);
+        const out = { $type: 'Map', size: v.size, entries: items.map(([k, x]) => [next(k), next(x)]) };
+        if (more) out.more = more;
+        return out;
+      }
+      if (v instanceof Set) {
+        const { items, more } = list(v.values(), v.size);
+        const out = { $type: 'Set', size: v.size, values: items.map(next) };
+        if (more) out.more = more;
+        return out;
+      }
+      if (v instanceof ArrayBuffer) return { $type: 'ArrayBuffer', byteLength: v.byteLength };
+      if (ArrayBuffer.isView(v)) {
+        const view = (v instanceof DataView) ? new Uint8Array(v.buffer, v.byteOffset, v.byteLength) : v;
+        const { items, more } = list(view, view.length);
+        const out = { $type: ctor, length: view.length, values: items.map(next) };
+        if (more) out.more = more;
+        return out;
+      }
+      if (typeof v.then === 'function') return '[Promise]';
+      if (Array.isArray(v)) {
+        const out = v.slice(0, LIMITS.maxItems).map((x) => { const s = next(x); return s === undefined ? null : s; });
+        if (v.length > LIMITS.maxItems) out.push('… ' + (v.length - LIMITS.maxItems) + ' more items');
+        return out;
+      }
+      const out = (ctor !== 'Object') ? { $type: ctor } : {};
+      const keys = Object.keys(v);
+      for (const k of keys.slice(0, LIMITS.maxItems)) out[k] = next(v[k]);
+      if (keys.length > LIMITS.maxItems) out['…'] = (keys.length - LIMITS.maxItems) + ' more keys';
+      return out;
+    } catch (err) {
+      return '[Unserializable ' + ctor + ': ' + String(err && err.message || err) + ']';
+    } finally {
+      seen.delete(v);
+    }
+  }
+
+  function fmt(x) {
+    if (typeof x === 'string') return x;
+    const s = ser(x);
+    return (s !== null && typeof s === 'object') ? JSON.stringify(s) : String(s);
+  }
+
+  function table(data, columns) {
+    if (data === null || typeof data !== 'object') return fmt(data);
+    const rows = (data instanceof Map) ? [...data.entries()] : Object.entries(data);
+    const cols = [];
+    const cells = rows.slice(0, LIMITS.maxItems).map(([idx, row]) => {
+      const cell = { '(index)': String(idx) };
+      if (row !== null && typeof row === 'object') {
+        for (const c of Object.keys(row)) {
+          if (columns && !columns.includes(c)) continue;
+          if (!cols.includes(c)) cols.push(c);
+          cell[c] = fmt(row[c]);
+        }
       } else {
-        // DO NOT send empty array
-        out.content = asString(m.content ?? '');
+        if (!cols.includes('Values')) cols.push('Values');
+        cell.Values = fmt(row);
       }
-    } else if (m.role === 'tool') {
-      out.tool_call_id = m.tool_call_id;
-      if (m.name) out.name = m.name;
-      out.content = asString(m.content ?? '');
-    } else {
-      // user/system
-      out.content = asString(m.content ?? '');
-      if (m.name) out.name = m.name;
+      return cell;
+    });
+    const header = ['(index)', ...cols];
+    const width = header.map((h) => Math.max(h.length, ...cells.map((c) => (c[h] || '').length)));
+    const line = (vals) => vals.map((x, i) => String(x).padEnd(width[i])).join(' | ');
+    const out = [line(header), width.map((w) => '-'.repeat(w)).join('-+-'), ...cells.map((c) => line(header.map((h) => c[h] || '')))];
+    if (rows.length > LIMITS.maxItems) out.push('… ' + (rows.length - LIMITS.maxItems) + ' more rows');
+    return out.join('\\n');
+  }
+
+  function emit(level, text) {
+    if (logCount >= LIMITS.maxLogLines) { dropped++; return; }
+    logCount++;
+    self.postMessage({ type: 'log', level, text });
+  }
+
+  const console = {
+    log:   (...a) => emit('log',   a.map(fmt).join(' ')),
+    info:  (...a) => emit('info',  a.map(fmt).join(' ')),
+    debug: (...a) => emit('debug', a.map(fmt).join(' ')),
+    warn:  (...a) => emit('warn',  a.map(fmt).join(' ')),
+    error: (...a) => emit('error', a.map(fmt).join(' ')),
+    table: (data, columns) => emit('table', table(data, columns))
+  };
+  self.console = console;
+
+  // Rich outputs for the chat: output.table(rows), output.chart(spec), output.image(canvas|blob|dataUrl)
+  const pendingOutputs = [];
+  let outputCount = 0, droppedOutputs = 0;
+
+  function emitOutput(out) {
+    if (outputCount >= LIMITS.maxOutputs) { droppedOutputs++; return; }
+    outputCount++;
+    self.postMessage({ type: 'output', output: out });
+  }
+
+  function cell(v) {
+    if (v === null || v === undefined) return null;
+    if (typeof v === 'number') return Number.isFinite(v) ? v : String(v);
+    if (typeof v === 'string' || typeof v === 'boolean') return v;
+    return fmt(v);
+  }
+
+  const output = Object.freeze({
+    table(rows, opts) {
+      const o = opts || {};
+      const list = Array.isArray(rows) ? rows
+        : (rows instanceof Map) ? [...rows.entries()].map(([key, value]) => ({ key, value }))
+        : (rows && typeof rows === 'object') ? Object.entries(rows).map(([key, value]) => ({ key, value })) : [];
+      const asObj = (r) => (r !== null && typeof r === 'object') ? r : { value: r };
+      const columns = (o.columns || [...new Set(list.flatMap((r) => Object.keys(asObj(r))))]).map(String);
+      emitOutput({
+        kind: 'table',
+        title: o.title ? String(o.title) : undefined,
+        columns,
+        rows: list.slice(0, LIMITS.maxTableRows).map((r) => columns.map((c) => cell(asObj(r)[c]))),
+        totalRows: list.length
+      });
+    },
+    // Chart.js-style spec: { type, title?, data: { labels, datasets } , options? } or { type, title?, labels, datasets }
+    chart(spec) {
+      if (!spec || typeof spec !== 'object') throw new TypeError('output.chart expects a spec object');
+      emitOutput({ kind: 'chart', spec: JSON.parse(JSON.stringify(spec)) });
+    },
+    image(source, opts) {
+      const o = opts || {};
+      const p = (async () => {
+        let img = source;
+        if (img && typeof img.convertToBlob === 'function') img = await img.convertToBlob({ type: 'image/png' });
+        if (typeof Blob !== 'undefined' && img instanceof Blob) img = new FileReaderSync().readAsDataURL(img);
+        if (typeof img !== 'string' || !img.startsWith('data:image/')) throw new TypeError('output.image expects an OffscreenCanvas, a Blob or a data:image URL');
+        if (img.length > LIMITS.maxImageChars) throw new Error('Image is too large to display (' + img.length + ' chars as a data URL)');
+        emitOutput({ kind: 'image', src: img, alt: o.alt ? String(o.alt) : '', title: o.title ? String(o.title) : undefined, width: source && source.width, height: source && source.height });
+      })();
+      pendingOutputs.push(p);
+      return p;
     }
-    return out;
   });
+
+  // RFC 4180-style CSV: quoted fields, "" escapes, CRLF; typed converts numbers/booleans
+  function parseCsv(text, opts) {
+    const o = Object.assign({ header: true, delimiter: null, typed: true }, opts || {});
+    const src = String(text).charCodeAt(0) === 0xFEFF ? String(text).slice(1) : String(text);
+    const firstLine = src.slice(0, src.indexOf('\\n') === -1 ? src.length : src.indexOf('\\n'));
+    const d = o.delimiter || (firstLine.split('\\t').length > firstLine.split(',').length ? '\\t' : (firstLine.split(';').length > firstLine.split(',').length ? ';' : ','));
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    for (let i = 0; i < src.length; i++) {
+      const c = src[i];
+      if (quoted) {
+        if (c === '"' && src[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"' && field === '') quoted = true;
+      else if (c === d) { row.push(field); field = ''; }
+      else if (c === '\\n' || c === '\\r') {
+        if (c === '\\r' && src[i + 1] === '\\n') i++;
+        row.push(field); field = '';
+        if (row.length > 1 || row[0] !== '') rows.push(row);
+        row = [];
+      } else field += c;
+    }
+    row.push(field);
+    if (row.length > 1 || row[0] !== '') rows.push(row);
+
+    const conv = (v) => {
+      if (!o.typed) return v;
+      const t = v.trim();
+      if (t === '') return null;
+      if (t === 'true' || t === 'false') return t === 'true';
+      const n = Number(t);
+      return Number.isFinite(n) ? n : v;
+    };
+    if (!o.header) return rows.map((r) => r.map(conv));
+    const head = rows.shift() || [];
+    return rows.map((r) => Object.fromEntries(head.map((h, i) => [h, conv(r[i] == null ? '' : r[i])])));
+  }
+
+  function makeFiles(list) {
+    const byName = new Map((list || []).map((f) => [f.name, f]));
+    const get = (name) => {
+      const f = byName.get(name);
+      if (!f) throw new Error('No attached file named ' + JSON.stringify(name) + ' (available: ' + ([...byName.keys()].join(', ') || 'none') + ')');
+      return f;
+    };
+    return Object.freeze({
+      list:  () => [...byName.values()].map((f) => ({ name: f.name, type: f.type, size: f.size })),
+      text:  (name) => get(name).text,
+      lines: (name) => get(name).text.split(/\\r?\\n/),
+      json:  (name) => JSON.parse(get(name).text),
+      csv:   (name, opts) => parseCsv(get(name).text, Object.assign(/\\.tsv$/i.test(name) ? { delimiter: '\\t' } : {}, opts))
+    });
+  }
+
+  self.onmessage = async (e) => {
+    const { code, args, limits, files } = e.data || {};
+    LIMITS = Object.assign(LIMITS, limits || {});
+    try {
+      const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
+      const fn = new AsyncFunction('console', 'args', 'files', 'output', '"use strict";\\n' + String(code || ''));
+      const result = await fn(console, args || {}, makeFiles(files), output);
+      await Promise.all(pendingOutputs);
+      self.postMessage({ type: 'done', result: ser(result), dropped, droppedOutputs });
+    } catch (err) {
+      self.postMessage({ type: 'error', error: String(err && err.message ? err.message : err), detail: ser(err), dropped, droppedOutputs });
+    }
+  };
+`;
+
+async function toolJsExec({ code }) {
+  const out = await runInSandbox(code);
+  addRun(code, out);
+  return out;
 }
 
-// -------- Core reasoning loop (assistant always pushed; tool ids matched) --------
-async function agentLoop() {
-  if (state.running) return;
-  setBusy(true);
+// Needs a Worker, so js_exec is registered by the page rather than agent-core.js
+registerTool({
+  name: 'js_exec',
+  description: "Securely execute JavaScript code in a time-limited sandboxed Worker; return console output & the (serialized) result. Attached files are available read-only via files.list(), files.text(name), files.lines(name), files.json(name) and files.csv(name, { header, delimiter, typed }). Show results to the user with output.table(rows, { title, columns }), output.chart({ type, title, labels, datasets }) (Chart.js types: bar, line, pie, scatter, …) and await output.image(offscreenCanvas, { alt }).",
+  parameters: {
+    type: "object",
+    properties: { code: { type: "string", description: "JavaScript code to run" } },
+    required: ["code"]
+  },
+  handler: (args) => toolJsExec(args),
+  source: 'builtin'
+});
 
-  try {
-    let turns = 0;
-    while (turns++ < 8) {
-      const resp = await callLLM(state.messages, tools);
-      if (!resp) break;
-
-      const msg = getAssistantMessage(resp);
-
-      // Only include tool_calls when non-empty
-      const toolCalls = Array.isArray(msg?.tool_calls) ? msg.tool_calls.filter(Boolean) : [];
-      const assistantMsg = {
-        role: 'assistant',
-        content: msg?.content || ''
-      };
-      if (toolCalls.length > 0) assistantMsg.tool_calls = toolCalls;
-      state.messages.push(assistantMsg);
+// Runs code in a fresh Worker (user code sees `console`, `args`, the attached `files` and `output`); never rejects
+function runInSandbox(code, args) {
+  const { jsTimeoutMs, jsMaxLogLines, jsMaxLogChars } = getSettings();
+
+  return new Promise((resolve) => {
+    const logs = [], outputs = [];
+    const started = Date.now();
+    const blobUrl = URL.createObjectURL(new Blob([JS_WORKER_SOURCE], { type: 'application/javascript' }));
+    const worker  = new Worker(blobUrl);
+    const signal  = currentSignal();
+    let timer = null;
 
-      // Render assistant text if any
-      if (msg?.content) addMessage('assistant', escapeHtml(msg.content));
+    // Single exit: always terminate the worker, clear the timer and detach listeners
+    const finish = (out) => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      worker.terminate();
+      URL.revokeObjectURL(blobUrl);
+      if (out.dropped) out.truncated = { droppedLogLines: out.dropped };
+      if (out.droppedOutputs) out.truncated = { ...out.truncated, droppedOutputs: out.droppedOutputs };
+      delete out.dropped; delete out.droppedOutputs;
+      if (outputs.length) {
+        out.outputs = outputs.map(summarizeOutput);
+        out[RICH_OUTPUTS] = outputs;
+      }
+      out.durationMs = Date.now() - started;
+      resolve(out);
+    };
 
-      // Execute tool calls
-      if (toolCalls.length === 0) break;
+    // Stop terminates the worker even if user code never returns
+    const onAbort = () => finish({ logs, ...CANCELLED_RESULT });
+    if (signal?.aborted) { onAbort(); return; }
+    signal?.addEventListener('abort', onAbort, { once: true });
 
-      for (const tc of toolCalls) {
-        let args = {};
-        try {
-          args = typeof tc.function.arguments === 'string'
-            ? JSON.parse(tc.function.arguments)
-            : (tc.function.arguments || {});
-        } catch {}
-
-        const result = await executeTool(tc.function.name, args).catch(e => ({ error: String(e) }));
-
-        // Push tool result with matching tool_call_id
-        state.messages.push({
-          role: 'tool',
-          tool_call_id: tc.id || undefined,
-          name: tc.function.name,
-          content: JSON.stringify(result)
-        });
+    timer = setTimeout(() => {
+      finish({ logs, error: `Timed out after ${jsTimeoutMs} ms (worker terminated)`, timedOut: true });
+    }, jsTimeoutMs);
+
+    worker.onmessage = (e) => {
+      const d = e.data || {};
+      if (d.type === 'log') {
+        let line = d.level === 'log' ? d.text : `[${d.level}] ${d.text}`;
+        if (line.length > jsMaxLogChars) line = line.slice(0, jsMaxLogChars) + `… [${line.length - jsMaxLogChars} more chars]`;
+        logs.push(line);
       }
-      // Loop so the LLM can consume tool results
+      if (d.type === 'output') outputs.push(d.output);
+      if (d.type === 'error') finish({ logs, error: d.error, detail: d.detail, dropped: d.dropped, droppedOutputs: d.droppedOutputs });
+      if (d.type === 'done')  finish({ logs, result: d.result, dropped: d.dropped, droppedOutputs: d.droppedOutputs });
+    };
+    worker.onerror = (e) => {
+      e.preventDefault?.();
+      finish({ logs, error: String(e.message || 'Worker error') });
+    };
+
+    const safe = (code || '').replace(/<\/script>/gi, '<\\/script>');
+    const files = [...agent.files.values()].map(({ name, type, size, text }) => ({ name, type, size, text }));
+    worker.postMessage({ code: safe, args, limits: { maxLogLines: jsMaxLogLines }, files });
+  });
+}
+
+// -------- Attachments (conversation-scoped virtual file store) --------
+// Text files only (CSV/TSV/JSON/Markdown/…); they are saved with the session and reach the
+// model through list_files / read_file and the read-only `files` object in js_exec.
+const FILE_MAX_BYTES = 5 * 1024 * 1024;
+const TEXT_FILE_RE = /\.(csv|tsv|json|jsonl|ndjson|txt|md|markdown|xml|html?|ya?ml|log|ini|toml|js|mjs|ts|py|sql)$/i;
+
+function isTextFile(file) {
+  return /^text\/|json|xml|yaml|javascript/.test(file.type || '') || TEXT_FILE_RE.test(file.name);
+}
+
+async function addFiles(fileList) {
+  for (const file of fileList || []) {
+    if (file.size > FILE_MAX_BYTES) { addAlert('warning', `${escapeHtml(file.name)} is larger than ${FILE_MAX_BYTES / 1024 / 1024} MB.`); continue; }
+    if (!isTextFile(file)) { addAlert('warning', `${escapeHtml(file.name)}: only text files (CSV, JSON, TXT, …) can be attached.`); continue; }
+    try {
+      const text = await file.text();
+      // Re-attaching a file with the same name replaces it
+      agent.files.set(file.name, { name: file.name, type: file.type || 'text/plain', size: file.size, text, addedAt: Date.now() });
+    } catch (err) {
+      addAlert('warning', `Could not read ${escapeHtml(file.name)}: ` + escapeHtml(err?.message || String(err)));
     }
-  } catch (err) {
-    addAlert('danger', 'Agent loop error: ' + escapeHtml(err?.message || String(err)));
-  } finally {
-    setBusy(false);
   }
+  renderFileList();
+  persistSession();
+}
+
+function removeFile(name) {
+  agent.files.delete(name);
+  renderFileList();
+  persistSession();
+}
+
+function renderFileList() {
+  const el = $('#fileList');
+  el.innerHTML = '';
+  for (const f of agent.files.values()) {
+    const chip = document.createElement('span');
+    chip.className = 'badge rounded-pill text-bg-light border file-chip';
+    chip.innerHTML = `<i class="bi bi-file-earmark-text"></i> ${escapeHtml(f.name)} <small class="text-secondary">${formatBytes(f.size)}</small>
+      <button type="button" class="btn-close btn-close-sm" aria-label="Remove ${escapeHtml(f.name)}"></button>`;
+    chip.querySelector('.btn-close').addEventListener('click', () => { if (!state.running) removeFile(f.name); });
+    el.appendChild(chip);
+  }
+  el.classList.toggle('d-none', !agent.files.size);
+}
+
+// -------- Custom tools (HTTP endpoint templates / JS in the Worker sandbox) --------
+// Definitions persist in localStorage as { name, description, parameters, kind: 'http'|'js', enabled, http?, js? }.
+const CUSTOM_TOOLS_KEY = 'customTools';
+const TOOL_PREFS_KEY = 'toolEnabled'; // enabled flags for built-ins
+const HTTP_TOOL_MAX_CHARS = 20000;
+let customToolDefs = [];
+
+// {{arg}} placeholders; URL parts are percent-encoded, JSON string bodies are JSON-escaped
+function fillTemplate(tpl, args, mode) {
+  return String(tpl ?? '').replace(/\{\{\s*([\w.-]+)\s*\}\}/g, (_, k) => {
+    const v = args?.[k];
+    if (v == null) return '';
+    const s = typeof v === 'string' ? v : JSON.stringify(v);
+    if (mode === 'url') return encodeURIComponent(s);
+    if (mode === 'json') return JSON.stringify(s).slice(1, -1);
+    return s;
+  });
 }
 
-// -------- LLM call dispatcher --------
-async function callLLM(messages, tools) {
-  const { provider, apiKey, model, maxTokens } = getSettings();
+// A quoted "{{arg}}" that is the whole JSON value becomes the raw JSON of the argument
+function fillBodyTemplate(tpl, args) {
+  const raw = String(tpl).replace(/"\{\{\s*([\w.-]+)\s*\}\}"/g, (_, k) => JSON.stringify(args?.[k] ?? null));
+  return fillTemplate(raw, args, 'json');
+}
 
-  // Try to auto-fetch AI Pipe token if missing
-  let key = apiKey;
-  if (provider === 'aipipe' && !key) {
+async function runHttpTool(def, args) {
+  const { method = 'GET', url = '', headers = {}, body = '' } = def.http || {};
+  const verb = method.toUpperCase();
+  const h = {};
+  for (const [k, v] of Object.entries(headers || {})) h[k] = fillTemplate(v, args);
+  const init = { method: verb, headers: h, signal: currentSignal() };
+  if (verb !== 'GET' && verb !== 'HEAD') {
+    init.body = body ? fillBodyTemplate(body, args) : JSON.stringify(args || {});
+    if (!Object.keys(h).some(k => k.toLowerCase() === 'content-type')) h['Content-Type'] = 'application/json';
+  }
+
+  const res = await fetch(fillTemplate(url, args, 'url'), init);
+  const text = await res.text();
+  let data = text;
+  if (/json/i.test(res.headers.get('content-type') || '')) { try { data = JSON.parse(text); } catch {} }
+  if (typeof data === 'string' && data.length > HTTP_TOOL_MAX_CHARS) data = data.slice(0, HTTP_TOOL_MAX_CHARS) + '… [truncated]';
+  return res.ok ? { status: res.status, data } : { error: `HTTP ${res.status} ${res.statusText}`, status: res.status, detail: data };
+}
+
+function customToolHandler(def) {
+  if (def.kind === 'js') return (args) => runInSandbox(def.js?.code || '', args);
+  return (args) => runHttpTool(def, args);
+}
+
+// Throws with a user-facing message; returns a normalized copy
+function validateCustomToolDef(def) {
+  if (!def || typeof def !== 'object') throw new Error('Tool definition must be an object.');
+  const name = String(def.name || '').trim();
+  if (!TOOL_NAME_RE.test(name)) throw new Error('Name must be 1-64 letters, digits, "_" or "-".');
+  if (toolRegistry.get(name)?.source === 'builtin') throw new Error(`"${name}" is a built-in tool.`);
+  const parameters = def.parameters || { type: 'object', properties: {} };
+  if (parameters.type !== 'object') throw new Error('Parameters must be a JSON schema with type "object".');
+  const kind = def.kind === 'js' ? 'js' : 'http';
+  const out = { name, description: String(def.description || ''), parameters, kind, enabled: def.enabled !== false };
+  if (kind === 'http') {
+    const http = def.http || {};
+    if (!http.url) throw new Error('HTTP tools need a URL template.');
+    out.http = { method: String(http.method || 'GET').toUpperCase(), url: String(http.url), headers: http.headers || {}, body: String(http.body || '') };
+  } else {
+    if (!def.js?.code) throw new Error('JS tools need a function body.');
+    out.js = { code: String(def.js.code) };
+  }
+  return out;
+}
+
+function saveCustomTools() {
+  try { localStorage.setItem(CUSTOM_TOOLS_KEY, JSON.stringify(customToolDefs)); } catch {}
+}
+
+function loadToolPrefs() {
+  try { return JSON.parse(localStorage.getItem(TOOL_PREFS_KEY) || '{}') || {}; } catch { return {}; }
+}
+
+function setToolEnabled(name, enabled) {
+  const tool = toolRegistry.get(name);
+  if (!tool) return;
+  tool.enabled = !!enabled;
+  if (tool.source === 'builtin') {
+    const prefs = loadToolPrefs();
+    prefs[name] = tool.enabled;
+    try { localStorage.setItem(TOOL_PREFS_KEY, JSON.stringify(prefs)); } catch {}
+  } else {
+    const def = customToolDefs.find(d => d.name === name);
+    if (def) { def.enabled = tool.enabled; saveCustomTools(); }
+  }
+}
+
+function upsertCustomTool(def, previousName) {
+  const clean = validateCustomToolDef(def);
+  if (previousName && previousName !== clean.name) removeCustomTool(previousName);
+  customToolDefs = customToolDefs.filter(d => d.name !== clean.name).concat(clean);
+  registerTool({ ...clean, handler: customToolHandler(clean), source: clean.kind });
+  saveCustomTools();
+}
+
+function removeCustomTool(name) {
+  customToolDefs = customToolDefs.filter(d => d.name !== name);
+  setToolPolicy(name, 'allow');
+  if (toolRegistry.get(name)?.source !== 'builtin') unregisterTool(name);
+  saveCustomTools();
+}
+
+function loadCustomTools() {
+  loadToolPolicies();
+  const prefs = loadToolPrefs();
+  for (const [name, enabled] of Object.entries(prefs)) {
+    const tool = toolRegistry.get(name);
+    if (tool?.source === 'builtin') tool.enabled = !!enabled;
+  }
+  let defs = [];
+  try { defs = JSON.parse(localStorage.getItem(CUSTOM_TOOLS_KEY) || '[]'); } catch {}
+  customToolDefs = [];
+  for (const d of Array.isArray(defs) ? defs : []) {
     try {
-      const mod = await import('https://aipipe.org/aipipe.js');
-      const profile = mod?.getProfile?.();
-      if (profile?.token) key = profile.token;
-      else {
-        window.location = `https://aipipe.org/login?redirect=${encodeURIComponent(window.location.href)}`;
-        return null;
-      }
-    } catch {
-      addAlert('warning', 'Could not load AI Pipe profile. Enter your AI Pipe token manually.');
-      return null;
+      const clean = validateCustomToolDef(d);
+      customToolDefs.push(clean);
+      registerTool({ ...clean, handler: customToolHandler(clean), source: clean.kind });
+    } catch (err) {
+      addAlert('warning', 'Skipped saved tool: ' + escapeHtml(err.message));
     }
   }
+}
+
+// Tools panel (settings card)
+function renderToolList() {
+  const list = $('#toolList');
+  list.innerHTML = '';
+  for (const t of toolRegistry.values()) {
+    const item = document.createElement('div');
+    item.className = 'list-group-item d-flex align-items-center gap-2';
+    const badge = { builtin: 'built-in', http: 'HTTP', js: 'JS' }[t.source] || t.source;
+    item.innerHTML = `
+      <div class="form-check form-switch m-0">
+        <input class="form-check-input" type="checkbox" ${t.enabled ? 'checked' : ''} data-act="toggle" title="Enabled" />
+      </div>
+      <div class="flex-grow-1 text-truncate">
+        <code>${escapeHtml(t.name)}</code> <span class="badge text-bg-secondary">${escapeHtml(badge)}</span>
+        <div class="small text-secondary text-truncate">${escapeHtml(t.description)}</div>
+      </div>
+      <select class="form-select form-select-sm w-auto" data-act="policy" title="Approval policy">
+        ${Object.entries(TOOL_POLICIES).map(([v, label]) => `<option value="${v}" ${getToolPolicy(t.name) === v ? 'selected' : ''}>${label}</option>`).join('')}
+      </select>
+      ${t.source === 'builtin' ? '' : `
+        <button type="button" class="btn btn-sm btn-outline-secondary" data-act="edit" title="Edit"><i class="bi bi-pencil"></i></button>
+        <button type="button" class="btn btn-sm btn-outline-danger" data-act="delete" title="Delete"><i class="bi bi-trash"></i></button>`}`;
+    item.addEventListener('click', (e) => {
+      const act = e.target.closest('[data-act]')?.dataset.act;
+      if (act === 'toggle') setToolEnabled(t.name, e.target.checked);
+      else if (act === 'edit') openToolForm(customToolDefs.find(d => d.name === t.name));
+      else if (act === 'delete' && confirm(`Delete tool "${t.name}"?`)) { removeCustomTool(t.name); renderToolList(); }
+    });
+    item.querySelector('[data-act="policy"]').addEventListener('change', (e) => setToolPolicy(t.name, e.target.value));
+    list.appendChild(item);
+  }
+}
 
-  if (!validateApiKeyOrWarn(provider, key)) return null;
+function openToolForm(def) {
+  const f = $('#toolForm');
+  f.classList.remove('d-none');
+  f.dataset.editing = def?.name || '';
+  $('#toolName').value = def?.name || '';
+  $('#toolDescription').value = def?.description || '';
+  $('#toolKind').value = def?.kind || 'http';
+  $('#toolParams').value = JSON.stringify(def?.parameters || { type: 'object', properties: {}, required: [] }, null, 2);
+  $('#toolMethod').value = def?.http?.method || 'GET';
+  $('#toolUrl').value = def?.http?.url || '';
+  $('#toolHeaders').value = def?.http ? JSON.stringify(def.http.headers || {}, null, 2) : '{}';
+  $('#toolBody').value = def?.http?.body || '';
+  $('#toolCode').value = def?.js?.code || '';
+  syncToolFormKind();
+}
+
+function syncToolFormKind() {
+  const js = $('#toolKind').value === 'js';
+  $('#toolHttpFields').classList.toggle('d-none', js);
+  $('#toolJsFields').classList.toggle('d-none', !js);
+}
 
+function submitToolForm() {
+  const parseJson = (sel, label) => {
+    try { return JSON.parse($(sel).value || '{}'); } catch { throw new Error(`${label} is not valid JSON.`); }
+  };
   try {
-    if (provider === 'openai')    return await callOpenAI(key, model, messages, maxTokens, tools);
-    if (provider === 'aipipe')    return await callAIPipe(key, model, messages, maxTokens, tools);
-    if (provider === 'gemini')    return await callGemini(key, model, messages, maxTokens, tools);
-    if (provider === 'anthropic') return await callAnthropic(key, model, messages, maxTokens, tools);
-    addAlert('danger', 'Unsupported provider: ' + provider);
-    return null;
+    const kind = $('#toolKind').value;
+    const def = {
+      name: $('#toolName').value,
+      description: $('#toolDescription').value,
+      kind,
+      parameters: parseJson('#toolParams', 'Parameters schema'),
+      enabled: toolRegistry.get($('#toolForm').dataset.editing)?.enabled ?? true
+    };
+    if (kind === 'js') def.js = { code: $('#toolCode').value };
+    else def.http = { method: $('#toolMethod').value, url: $('#toolUrl').value.trim(), headers: parseJson('#toolHeaders', 'Headers'), body: $('#toolBody').value };
+    upsertCustomTool(def, $('#toolForm').dataset.editing || null);
+    $('#toolForm').classList.add('d-none');
+    renderToolList();
   } catch (err) {
-    addAlert('danger', `${provider} error: ` + escapeHtml(err?.message || String(err)));
-    return null;
+    addAlert('warning', 'Tool not saved: ' + escapeHtml(err.message));
   }
 }
 
-// -------- Provider: OpenAI --------
-async function callOpenAI(apiKey, model, messages, maxTokens, tools) {
-  const url = 'https://api.openai.com/v1/chat/completions';
-  const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey}` };
-  const safeMessages = sanitizeMessagesForOpenAI(messages);
-  const body = { model, messages: safeMessages, max_tokens: maxTokens, temperature: 0.7, tools };
-  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!res.ok) throw new Error(await res.text());
-  return await res.json();
-}
-
-// -------- Provider: AI Pipe (OpenRouter-compatible) --------
-async function callAIPipe(apiKey, model, messages, maxTokens, tools) {
-  const url = 'https://aipipe.org/openrouter/v1/chat/completions';
-  const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${apiKey.trim()}` };
-  const safeMessages = sanitizeMessagesForOpenAI(messages);
-  const body = { model, messages: safeMessages, max_tokens: maxTokens, temperature: 0.7, tools };
-  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!res.ok) {
-    const text = await res.text();
-    throw new Error(`${res.status} ${res.statusText}: ${text}`);
-  }
-  return await res.json();
-}
-
-// -------- Provider: Google Gemini (v1beta) --------
-function toGeminiTools(openaiTools) {
-  const fns = (openaiTools || []).map(t => t?.function).filter(Boolean).map(fn => ({
-    name: fn.name, description: fn.description || '', parameters: fn.parameters || { type: 'object' }
-  }));
-  return fns.length ? [{ functionDeclarations: fns }] : [];
-}
-function toGeminiContents(messages) {
-  const contents = [];
-  for (const m of messages) {
-    if (!m || !m.role) continue;
-    if (m.role === 'user' || m.role === 'assistant') {
-      contents.push({ role: m.role === 'assistant' ? 'model' : 'user', parts: [{ text: String(m.content || '') }] });
-    } else if (m.role === 'tool') {
-      let parsed = null; try { parsed = JSON.parse(m.content); } catch { parsed = { text: String(m.content) }; }
-      contents.push({ role: 'tool', parts: [{ functionResponse: { name: m.name || 'tool', response: parsed } }] });
-    }
-  }
-  return contents;
-}
-function fromGeminiResponseToOpenAI(data) {
-  const choices = [{ message: { role: 'assistant', content: '', tool_calls: [] } }];
-  const msg = choices[0].message;
-  const parts = data?.candidates?.[0]?.content?.parts || [];
-  for (const p of parts) {
-    if (typeof p?.text === 'string') msg.content += (msg.content ? '\n' : '') + p.text;
-    if (p?.functionCall && p.functionCall.name) {
-      msg.tool_calls.push({
-        id: 'gemini_' + Math.random().toString(36).slice(2),
-        type: 'function',
-        function: { name: p.functionCall.name, arguments: JSON.stringify(p.functionCall.args || {}) }
-      });
+function exportCustomTools() {
+  downloadJson('tools.json', { version: 1, tools: customToolDefs });
+}
+
+// Accepts the tools.json written by exportCustomTools (or a bare array of definitions)
+async function importCustomTools(file) {
+  if (!file) return;
+  try {
+    const json = JSON.parse(await file.text());
+    const defs = Array.isArray(json) ? json : json?.tools;
+    if (!Array.isArray(defs)) throw new Error('Expected { "tools": [...] } or an array of tool definitions.');
+    let n = 0;
+    for (const d of defs) {
+      try { upsertCustomTool(d); n++; } catch (err) { addAlert('warning', `Skipped "${escapeHtml(d?.name || '?')}": ` + escapeHtml(err.message)); }
     }
+    addAlert('success', `Imported ${n} tool(s).`);
+    renderToolList();
+  } catch (err) {
+    addAlert('danger', 'Tool import failed: ' + escapeHtml(err?.message || String(err)));
   }
-  return { choices };
 }
-async function callGemini(apiKey, model, messages, maxTokens, openaiTools) {
-  const url = `https://generativelanguage.googleapis.com/v1beta/models/${encodeURIComponent(model)}:generateContent?key=${encodeURIComponent(apiKey)}`;
-  const headers = { 'Content-Type': 'application/json' };
-  const body = {
-    contents: toGeminiContents(messages),
-    tools: toGeminiTools(openaiTools),
-    generationConfig: { maxOutputTokens: maxTokens, temperature: 0.7 }
+
+// -------- Agent presets --------
+// A preset bundles { name, systemPrompt, provider, model, temperature, maxTokens, tools }
+// (tools = names of enabled tools). Stored in localStorage with the last selected name.
+const PRESETS_KEY = 'agentPresets';
+const PRESET_SELECTED_KEY = 'agentPreset';
+const DEFAULT_PRESET = { name: 'Default', systemPrompt: '', provider: 'openai', model: 'gpt-4o-mini', temperature: 0.7, maxTokens: 800, tools: null };
+let presets = [];
+
+function savePresets() {
+  try { localStorage.setItem(PRESETS_KEY, JSON.stringify(presets)); } catch {}
+}
+
+function normalizePreset(p) {
+  if (!p || typeof p !== 'object' || !String(p.name || '').trim()) throw new Error('Preset needs a name.');
+  const provider = MODEL_OPTIONS[p.provider] ? p.provider : DEFAULT_PRESET.provider;
+  return {
+    name: String(p.name).trim(),
+    systemPrompt: String(p.systemPrompt || ''),
+    provider,
+    model: String(p.model || MODEL_OPTIONS[provider][0].value),
+    temperature: clampTemperature(Number(p.temperature), provider),
+    maxTokens: Math.max(1, parseInt(p.maxTokens, 10) || DEFAULT_PRESET.maxTokens),
+    tools: Array.isArray(p.tools) ? p.tools.map(String) : null
   };
-  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!res.ok) throw new Error(`${res.status} ${res.statusText}: ` + (await res.text()));
-  const data = await res.json();
-  return fromGeminiResponseToOpenAI(data);
-}
-
-// -------- Provider: Anthropic Claude --------
-function toAnthropicTools(openaiTools) {
-  return (openaiTools || []).map(t => t?.function).filter(Boolean).map(fn => ({
-    name: fn.name, description: fn.description || '', input_schema: fn.parameters || { type: 'object' }
-  }));
-}
-function toAnthropicMessages(messages) {
-  const out = [];
-  for (const m of messages) {
-    if (!m || !m.role) continue;
-    if (m.role === 'user' || m.role === 'assistant') {
-      out.push({ role: m.role, content: [{ type: 'text', text: String(m.content || '') }] });
-    } else if (m.role === 'tool') {
-      let parsed = null; try { parsed = JSON.parse(m.content); } catch { parsed = { text: String(m.content) }; }
-      out.push({ role: 'user', content: [{ type: 'tool_result', tool_use_id: (m.tool_call_id || 'tool_' + Math.random().toString(36).slice(2)), content: JSON.stringify(parsed), is_error: false }] });
-    }
+}
+
+function loadPresets() {
+  let stored = [];
+  try { stored = JSON.parse(localStorage.getItem(PRESETS_KEY) || '[]'); } catch {}
+  presets = [];
+  for (const p of Array.isArray(stored) ? stored : []) {
+    try { presets.push(normalizePreset(p)); } catch {}
   }
-  return out;
+  if (!presets.length) presets.push({ ...DEFAULT_PRESET });
+  let selected = null;
+  try { selected = localStorage.getItem(PRESET_SELECTED_KEY); } catch {}
+  renderPresetOptions(presets.some(p => p.name === selected) ? selected : presets[0].name);
+  applyPreset($('#preset').value);
+}
+
+function renderPresetOptions(selectedName) {
+  const sel = $('#preset');
+  sel.innerHTML = '';
+  for (const p of presets) {
+    const opt = document.createElement('option');
+    opt.value = p.name; opt.textContent = p.name; sel.appendChild(opt);
+  }
+  if (selectedName) sel.value = selectedName;
+}
+
+function applyPreset(name) {
+  const p = presets.find(x => x.name === name);
+  if (!p) return;
+  $('#provider').value = p.provider;
+  $('#customModel').value = '';
+  populateModelOptions();
+  syncProviderKey();
+  const modelSel = $('#model');
+  if (![...modelSel.options].some(o => o.value === p.model)) {
+    const opt = document.createElement('option');
+    opt.value = p.model; opt.textContent = p.model; modelSel.appendChild(opt);
+  }
+  modelSel.value = p.model;
+  $('#temperature').value = clampTemperature(p.temperature, p.provider);
+  $('#maxTokens').value = p.maxTokens;
+  $('#systemPrompt').value = p.systemPrompt;
+  if (p.tools) {
+    for (const t of toolRegistry.values()) setToolEnabled(t.name, p.tools.includes(t.name));
+    renderToolList();
+  }
+  try { localStorage.setItem(PRESET_SELECTED_KEY, p.name); } catch {}
 }
-function fromAnthropicResponseToOpenAI(data) {
-  const choices = [{ message: { role: 'assistant', content: '', tool_calls: [] } }];
-  const msg = choices[0].message;
-  const blocks = data?.content || [];
-  for (const b of blocks) {
-    if (b.type === 'text' && typeof b.text === 'string') msg.content += (msg.content ? '\n' : '') + b.text;
-    else if (b.type === 'tool_use') {
-      msg.tool_calls.push({ id: b.id || ('claude_' + Math.random().toString(36).slice(2)), type: 'function', function: { name: b.name, arguments: JSON.stringify(b.input || {}) } });
+
+// Snapshot of the settings card as a preset
+function currentPreset(name) {
+  const { provider, model, temperature, maxTokens, systemPrompt } = getSettings();
+  const tools = [...toolRegistry.values()].filter(t => t.enabled).map(t => t.name);
+  return normalizePreset({ name, provider, model, temperature, maxTokens, systemPrompt, tools });
+}
+
+function upsertPreset(preset) {
+  const i = presets.findIndex(p => p.name === preset.name);
+  if (i >= 0) presets[i] = preset; else presets.push(preset);
+  savePresets();
+}
+
+function savePresetAs() {
+  const name = prompt('Preset name', $('#preset').value + ' copy');
+  if (name == null || !name.trim()) return;
+  if (presets.some(p => p.name === name.trim()) && !confirm(`Overwrite preset "${name.trim()}"?`)) return;
+  upsertPreset(currentPreset(name));
+  renderPresetOptions(name.trim());
+  applyPreset(name.trim());
+}
+
+function deletePreset() {
+  const name = $('#preset').value;
+  if (presets.length <= 1) { addAlert('warning', 'Keep at least one preset.'); return; }
+  if (!confirm(`Delete preset "${name}"?`)) return;
+  presets = presets.filter(p => p.name !== name);
+  savePresets();
+  renderPresetOptions(presets[0].name);
+  applyPreset(presets[0].name);
+}
+
+function exportPresets() {
+  downloadJson('presets.json', { version: 1, presets });
+}
+
+// Accepts the presets.json written by exportPresets (or a bare array / single preset)
+async function importPresets(file) {
+  if (!file) return;
+  try {
+    const json = JSON.parse(await file.text());
+    const list = Array.isArray(json) ? json : (Array.isArray(json?.presets) ? json.presets : [json]);
+    let n = 0;
+    for (const p of list) {
+      try { upsertPreset(normalizePreset(p)); n++; } catch (err) { addAlert('warning', 'Skipped preset: ' + escapeHtml(err.message)); }
     }
+    renderPresetOptions($('#preset').value);
+    addAlert('success', `Imported ${n} preset(s).`);
+  } catch (err) {
+    addAlert('danger', 'Preset import failed: ' + escapeHtml(err?.message || String(err)));
   }
-  return { choices };
 }
-async function callAnthropic(apiKey, model, messages, maxTokens, openaiTools) {
-  const url = 'https://api.anthropic.com/v1/messages';
-  const headers = { 'Content-Type': 'application/json', 'x-api-key': apiKey, 'anthropic-version': '2023-06-01' };
-  const body = { model, max_tokens: maxTokens, temperature: 0.7, tools: toAnthropicTools(openaiTools), messages: toAnthropicMessages(messages) };
-  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!res.ok) throw new Error(`${res.status} ${res.statusText}: ` + (await res.text()));
-  const data = await res.json();
-  return fromAnthropicResponseToOpenAI(data);
+
+// -------- Usage & cost tracking --------
+// Adapters return OpenAI-style usage ({ prompt_tokens, completion_tokens }); every LLM call
+// (chat turns and aipipe_proxy sub-calls) is recorded in agent.usage and priced per model.
+const PRICES_KEY = 'priceTable';
+let priceTable = { ...DEFAULT_PRICES };
+
+function loadPrices() {
+  let stored = {};
+  try { stored = JSON.parse(localStorage.getItem(PRICES_KEY) || '{}') || {}; } catch {}
+  priceTable = { ...DEFAULT_PRICES, ...stored };
 }
 
-// -------- Extract assistant message --------
-function getAssistantMessage(data) { return (data?.choices?.length ? data.choices[0].message : null); }
+function setPrice(model, kind, value) {
+  const [inp, out] = priceTable[model] || [0, 0];
+  const v = Math.max(0, parseFloat(value) || 0);
+  priceTable[model] = kind === 'input' ? [v, out] : [inp, v];
+  const overrides = {};
+  for (const [m, p] of Object.entries(priceTable)) {
+    if (JSON.stringify(p) !== JSON.stringify(DEFAULT_PRICES[m])) overrides[m] = p;
+  }
+  try { localStorage.setItem(PRICES_KEY, JSON.stringify(overrides)); } catch {}
+}
+
+function formatUsage({ inputTokens, outputTokens, cost, unpriced }) {
+  const money = cost < 0.01 ? cost.toFixed(4) : cost.toFixed(2);
+  return `${inputTokens.toLocaleString()} in / ${outputTokens.toLocaleString()} out · $${money}${unpriced ? ` (+${unpriced} unpriced)` : ''}`;
+}
 
-// -------- Tools --------
-async function executeTool(name, args) {
-  switch (name) {
-    case 'web_search':   return await toolWebSearch(args);
-    case 'aipipe_proxy': return await toolAIPipeProxy(args);
-    case 'js_exec':      return await toolJsExec(args);
-    default:             return { error: 'Unknown tool: ' + name };
+function renderUsage() {
+  const el = $('#usage');
+  const calls = agent.usage.calls;
+  if (!calls.length) { el.textContent = ''; return; }
+  const turn = calls[calls.length - 1].turn;
+  const last = { inputTokens: 0, outputTokens: 0, cost: 0, unpriced: 0 };
+  for (const c of calls) {
+    if (c.turn !== turn) continue;
+    last.inputTokens += c.inputTokens; last.outputTokens += c.outputTokens;
+    if (c.cost == null) last.unpriced++; else last.cost += c.cost;
   }
+  el.innerHTML = `<i class="bi bi-coin"></i> Last turn: ${formatUsage(last)} &nbsp;|&nbsp; Session: ${formatUsage(agent.usage.totals)}`;
 }
 
-// Web search: Google CSE (if keys) OR DuckDuckGo + Wikipedia fallback (no keys)
-async function toolWebSearch({ q, num = 3 }) {
-  const { googleKey, googleCx } = getSettings();
+// Editable price table (settings card), one row per MODEL_OPTIONS model
+function renderPriceTable() {
+  const body = $('#priceTable');
+  body.innerHTML = '';
+  for (const [provider, opts] of Object.entries(MODEL_OPTIONS)) {
+    for (const { value: model } of opts) {
+      const [inp, out] = priceTable[model] || [0, 0];
+      const tr = document.createElement('tr');
+      tr.innerHTML = `
+        <td class="small">${escapeHtml(provider)}</td>
+        <td><code>${escapeHtml(model)}</code></td>
+        <td><input type="number" class="form-control form-control-sm" min="0" step="0.01" value="${inp}" data-kind="input" /></td>
+        <td><input type="number" class="form-control form-control-sm" min="0" step="0.01" value="${out}" data-kind="output" /></td>`;
+      tr.addEventListener('change', (e) => setPrice(model, e.target.dataset.kind, e.target.value));
+      body.appendChild(tr);
+    }
+  }
+}
 
-  if (googleKey && googleCx) {
-    const url = `https://www.googleapis.com/customsearch/v1?key=${encodeURIComponent(googleKey)}&cx=${encodeURIComponent(googleCx)}&q=${encodeURIComponent(q)}&num=${num}`;
-    const res = await fetch(url);
-    if (!res.ok) return { error: `Google CSE error: ${res.status} ${res.statusText}`, detail: await res.text() };
-    const json = await res.json();
-    const items = (json.items || []).map(i => ({ title: i.title, link: i.link, snippet: i.snippet }));
-    return { query: q, provider: "google_cse", items };
+// -------- Storage (IndexedDB) --------
+const DB_NAME = 'llm-agent-poc';
+const DB_VERSION = 2;
+let dbPromise = null;
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      if (!('indexedDB' in window)) return reject(new Error('IndexedDB is not available'));
+      const req = indexedDB.open(DB_NAME, DB_VERSION);
+      req.onupgradeneeded = () => {
+        const db = req.result;
+        if (!db.objectStoreNames.contains('sessions')) db.createObjectStore('sessions', { keyPath: 'id' });
+        if (!db.objectStoreNames.contains('searchCache')) db.createObjectStore('searchCache', { keyPath: 'key' });
+      };
+      req.onsuccess = () => resolve(req.result);
+      req.onerror = () => reject(req.error);
+    });
+    dbPromise.catch(() => { dbPromise = null; });
   }
+  return dbPromise;
+}
+
+async function dbTx(store, mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(store, mode);
+    const req = fn(tx.objectStore(store));
+    tx.oncomplete = () => resolve(req?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
+
+const dbGet    = (store, key) => dbTx(store, 'readonly',  (s) => s.get(key));
+const dbAll    = (store)      => dbTx(store, 'readonly',  (s) => s.getAll());
+const dbPut    = (store, val) => dbTx(store, 'readwrite', (s) => s.put(val));
+const dbDelete = (store, key) => dbTx(store, 'readwrite', (s) => s.delete(key));
+
+async function clearSearchCache() {
+  await dbTx('searchCache', 'readwrite', (s) => s.clear());
+}
+
+// -------- Sessions --------
+function newSessionId() { return 's_' + Date.now().toString(36) + Math.random().toString(36).slice(2, 8); }
+
+function titleFromMessages(messages) {
+  const first = messages.find(m => m.role === 'user' && typeof m.content === 'string' && m.content.trim());
+  if (!first) return 'New conversation';
+  const t = first.content.trim().replace(/\s+/g, ' ');
+  return t.length > 60 ? t.slice(0, 57) + '…' : t;
+}
+
+function startNewSession() {
+  state.sessionId = newSessionId();
+  state.sessionTitle = null;
+  agent.reset();
+  renderFileList();
+  chatEl.innerHTML = ''; clearRunHistory();
+  renderUsage();
+  renderSessionList();
+}
 
-  // DuckDuckGo
-  let ddg = null;
+// Saves the current conversation; empty conversations (no messages, no files) are not stored. The record is taken
+// before anything is awaited, and saves (and deletes) run one at a time through saveQueue, so
+// switching or clearing mid-save cannot write one conversation under another's id.
+let saveQueue = Promise.resolve();
+function persistSession() {
+  if (!agent.messages.length && !agent.files.size) return saveQueue;
+  const record = {
+    id: state.sessionId,
+    title: state.sessionTitle,
+    messages: [...agent.messages],
+    tree: agent.tree.toJSON(),
+    usage: structuredClone(agent.usage),
+    files: [...agent.files.values()]
+  };
+  saveQueue = saveQueue.then(() => saveSession(record));
+  return saveQueue;
+}
+
+async function saveSession(record) {
+  const now = Date.now();
+  const existing = await dbGet('sessions', record.id).catch(() => null);
+  record.title = record.title || existing?.title || titleFromMessages(record.messages);
+  record.createdAt = existing?.createdAt || now;
+  record.updatedAt = now;
   try {
-    const ddgRes = await fetch(`https://api.duckduckgo.com/?q=${encodeURIComponent(q)}&format=json&no_html=1&skip_disambig=1`);
-    if (ddgRes.ok) {
-      const data = await ddgRes.json();
-      const items = [];
-      if (data.AbstractText) {
-        items.push({ title: data.Heading || q, link: data.AbstractURL || (data.Results?.[0]?.FirstURL) || "", snippet: data.AbstractText });
-      }
-      if (Array.isArray(data.RelatedTopics)) {
-        for (const rt of data.RelatedTopics.slice(0, Math.max(0, num - items.length))) {
-          if (rt?.Text) items.push({ title: (rt?.Text.split(" - ")[0]) || q, link: rt?.FirstURL || "", snippet: rt?.Text });
-        }
+    await dbPut('sessions', record);
+  } catch (err) {
+    if (!state.storageWarned) addAlert('warning', 'Could not save conversation locally: ' + escapeHtml(err?.message || String(err)));
+    state.storageWarned = true;
+    return;
+  }
+  renderSessionList();
+}
+
+function deleteStoredSession(id) {
+  saveQueue = saveQueue.then(() => dbDelete('sessions', id).catch(() => {}));
+  return saveQueue;
+}
+
+// Re-renders a stored message list through addMessage
+function renderMessages(messages) {
+  chatEl.innerHTML = ''; clearRunHistory();
+  const traces = new Map(); // tool_call_id -> trace card
+  messages.forEach((m, i) => {
+    if (m.role === 'user') markRow(addMessage('user', escapeHtml(typeof m.content === 'string' ? m.content : JSON.stringify(m.content))), i);
+    else if (m.role === 'assistant') {
+      const bubble = m.content ? addMessage('assistant', '') : null;
+      if (bubble) { renderAssistantContent(bubble, m.content, { incomplete: m.incomplete }); markRow(bubble, i); }
+      if (m.tool_calls?.length) {
+        const group = addToolTraceGroup(i, bubble);
+        for (const tc of m.tool_calls) traces.set(tc.id, addToolTrace(group, tc, parseToolArguments(tc)));
       }
-      if (items.length) ddg = { query: q, provider: "duckduckgo", items };
+    } else if (m.role === 'tool' && traces.has(m.tool_call_id)) {
+      let result = m.content;
+      try { result = JSON.parse(m.content); } catch {}
+      setToolTraceResult(traces.get(m.tool_call_id), result, m.meta || {});
+      if (m.outputs?.length) renderToolOutputs(traces.get(m.tool_call_id), m.outputs);
     }
-  } catch {}
+    // System notes, tool results without a matching call and unknown roles are not shown
+  });
+  renderBranchBars();
+}
+
+async function switchSession(id) {
+  if (state.running || id === state.sessionId) return;
+  await saveQueue;
+  const rec = await dbGet('sessions', id).catch(() => null);
+  if (!rec) { addAlert('warning', 'That conversation could not be loaded.'); return; }
+  state.sessionId = rec.id;
+  state.sessionTitle = rec.title;
+  agent.reset({ messages: Array.isArray(rec.messages) ? rec.messages : [], tree: rec.tree, usage: rec.usage || emptyUsage(), files: rec.files || [] });
+  renderFileList();
+  renderMessages(agent.messages);
+  renderUsage();
+  renderSessionList();
+}
 
-  // Wikipedia
-  let wiki = null;
+async function renameSession(id) {
+  const rec = await dbGet('sessions', id).catch(() => null);
+  if (!rec) return;
+  const title = prompt('Rename conversation', rec.title);
+  if (title == null || !title.trim()) return;
+  rec.title = title.trim();
+  await dbPut('sessions', rec);
+  if (id === state.sessionId) state.sessionTitle = rec.title;
+  renderSessionList();
+}
+
+async function deleteSession(id) {
+  if (state.running) return;
+  const rec = await dbGet('sessions', id).catch(() => null);
+  if (!rec || !confirm(`Delete "${rec.title}"?`)) return;
+  await deleteStoredSession(id);
+  if (id === state.sessionId) startNewSession(); else renderSessionList();
+}
+
+async function renderSessionList() {
+  const list = sessionListEl;
+  let sessions = [];
+  try { sessions = await dbAll('sessions'); } catch { list.innerHTML = '<div class="small text-secondary p-2">Local storage unavailable.</div>'; return; }
+  sessions.sort((a, b) => b.updatedAt - a.updatedAt);
+  list.innerHTML = '';
+  if (!sessions.length) { list.innerHTML = '<div class="small text-secondary p-2">No saved conversations yet.</div>'; return; }
+  for (const s of sessions) {
+    const item = document.createElement('div');
+    item.className = 'list-group-item list-group-item-action session-item' + (s.id === state.sessionId ? ' active' : '');
+    item.innerHTML = `
+      <div class="d-flex justify-content-between align-items-start gap-2">
+        <div class="text-truncate">
+          <div class="session-title text-truncate">${escapeHtml(s.title)}</div>
+          <div class="small opacity-75">${escapeHtml(new Date(s.updatedAt).toLocaleString())} · ${s.messages?.length || 0} msgs</div>
+        </div>
+        <div class="btn-group btn-group-sm flex-shrink-0">
+          <button class="btn btn-link p-0 me-2" data-act="rename" title="Rename"><i class="bi bi-pencil"></i></button>
+          <button class="btn btn-link p-0 text-danger" data-act="delete" title="Delete"><i class="bi bi-trash"></i></button>
+        </div>
+      </div>`;
+    item.addEventListener('click', (e) => {
+      const act = e.target.closest('[data-act]')?.dataset.act;
+      if (act === 'rename') renameSession(s.id);
+      else if (act === 'delete') deleteSession(s.id);
+      else switchSession(s.id);
+    });
+    list.appendChild(item);
+  }
+}
+
+// Export format: { version, exportedAt, messages, tree, usage, sources, files }; messages is the
+// branch on screen and tree holds every branch. Assistant messages keep their `citations`, and tool
+// results their source_ids. files are the attachments ({ name, type, size, text }) that read_file
+// and js_exec see, so a conversation that used them can be replayed
+function conversationExport() {
+  return {
+    version: 1, exportedAt: new Date().toISOString(), messages: agent.messages, tree: agent.tree.toJSON(),
+    usage: agent.usage, sources: [...agent.sources.values()], files: [...agent.files.values()]
+  };
+}
+
+// Shape check for imported messages (the flat list and every tree node): a known role, text (or
+// null) content and, on assistant messages, an array of tool_calls
+const IMPORT_ROLES = new Set(['user', 'assistant', 'tool', 'system']);
+function checkImportedMessage(m, label) {
+  if (!m || typeof m !== 'object' || !IMPORT_ROLES.has(m.role)) throw new Error(`${label} has no valid role.`);
+  if (m.content != null && typeof m.content !== 'string') throw new Error(`${label} has non-text content.`);
+  if (m.tool_calls != null && !Array.isArray(m.tool_calls)) throw new Error(`${label} has invalid tool_calls.`);
+}
+
+// Accepts conversation.json from Export: the object above or the older bare array of messages
+function parseImportedConversation(json) {
+  const messages = Array.isArray(json) ? json : (Array.isArray(json?.messages) ? json.messages : null);
+  if (!messages) throw new Error('Expected a JSON array of messages or { "messages": [...] }.');
+  messages.forEach((m, i) => checkImportedMessage(m, `Message ${i}`));
+  const usage = (json?.usage?.totals && Array.isArray(json.usage.calls)) ? json.usage : emptyUsage();
+  const tree = Array.isArray(json?.tree?.nodes) ? json.tree : null;
+  for (const [i, n] of (tree?.nodes || []).entries()) {
+    if (!n || typeof n !== 'object') throw new Error(`Tree node ${i} is not an object.`);
+    if (n.id !== 0) checkImportedMessage(n.message, `Tree node ${i}`);
+  }
+  const files = (Array.isArray(json?.files) ? json.files : [])
+    .filter(f => f && typeof f.name === 'string' && typeof f.text === 'string')
+    .map(f => ({ name: f.name, type: f.type || 'text/plain', size: Number(f.size) || f.text.length, text: f.text, addedAt: Number(f.addedAt) || Date.now() }));
+  return { messages, tree, usage, files };
+}
+
+async function importConversation(file) {
+  if (state.running || !file) return;
   try {
-    const titleGuess = q.trim().replace(/\s+/g, "_");
-    const wres = await fetch(`https://en.wikipedia.org/api/rest_v1/page/summary/${encodeURIComponent(titleGuess)}`);
-    if (wres.ok) {
-      const w = await wres.json();
-      if (w?.extract) {
-        wiki = { query: q, provider: "wikipedia", items: [{ title: w.title || q, link: w.content_urls?.desktop?.page || w.content_urls?.mobile?.page || "", snippet: w.extract }] };
-      }
-    }
-  } catch {}
+    const { messages, tree, usage, files } = parseImportedConversation(JSON.parse(await file.text()));
+    state.sessionId = newSessionId();
+    state.sessionTitle = null;
+    agent.reset({ messages, tree, usage, files });
+    renderFileList();
+    renderMessages(agent.messages);
+    renderUsage();
+    await persistSession();
+    renderSessionList();
+  } catch (err) {
+    addAlert('danger', 'Import failed: ' + escapeHtml(err?.message || String(err)));
+  }
+}
 
-  if (ddg && wiki) return { query: q, provider: "fallback(duckduckgo+wiki)", items: [...ddg.items.slice(0, Math.max(0, num - 1)), ...wiki.items.slice(0, 1)] };
-  if (ddg)  return ddg;
-  if (wiki) return wiki;
-  return { query: q, provider: "fallback", items: [], warning: "No-key fallbacks returned no results (network/CORS?)." };
+// -------- Branches (edit, regenerate, switch, compare) --------
+// Controls are rebuilt from agent.messages after each change: a bar under every user message
+// (edit, earlier versions) and one closing every answer (regenerate, other answers, compare).
+function markRow(bubble, index) {
+  if (bubble) bubble.parentElement.dataset.index = index;
 }
 
-async function toolAIPipeProxy({ prompt, model = 'openai/gpt-4o-mini', max_tokens = 200 }) {
-  const { apiKey, provider } = getSettings();
-  let key = apiKey;
-  if (!key && provider === 'aipipe') {
-    try {
-      const mod = await import('https://aipipe.org/aipipe.js');
-      const profile = mod?.getProfile?.();
-      if (profile?.token) key = profile.token;
-    } catch {}
+function renderBranchBars() {
+  chatEl.querySelectorAll('.branch-bar').forEach(el => el.remove());
+  const msgs = agent.messages;
+  const turns = msgs.flatMap((m, i) => m.role === 'user' ? [i] : []);
+  turns.forEach((u, k) => {
+    const row = chatEl.querySelector(`.message[data-index="${u}"]`);
+    if (!row) return;
+    row.after(userBranchBar(u));
+    if (state.running && u === turns.at(-1)) return; // the answer is still coming in
+    const end = turns[k + 1] ?? msgs.length;
+    const bar = answerBranchBar(u, end);
+    const nextRow = turns[k + 1] != null && chatEl.querySelector(`.message[data-index="${turns[k + 1]}"]`);
+    if (nextRow) nextRow.before(bar); else chatEl.appendChild(bar);
+  });
+}
+
+// "‹ 2/3 ›" between the siblings of agent.messages[index]; null when it has none
+function branchNav(index, title) {
+  const { position, count } = agent.branchInfo(index);
+  if (count < 2) return null;
+  const nav = document.createElement('span');
+  nav.className = 'branch-nav';
+  nav.title = title;
+  nav.innerHTML = `
+    <button type="button" class="btn btn-link btn-sm" data-step="-1" aria-label="Previous" ${position <= 1 ? 'disabled' : ''}><i class="bi bi-chevron-left"></i></button>
+    <span>${position}/${count}</span>
+    <button type="button" class="btn btn-link btn-sm" data-step="1" aria-label="Next" ${position >= count ? 'disabled' : ''}><i class="bi bi-chevron-right"></i></button>`;
+  nav.querySelectorAll('button').forEach(b => b.addEventListener('click', () => switchBranch(index, Number(b.dataset.step))));
+  return nav;
+}
+
+function userBranchBar(index) {
+  const bar = document.createElement('div');
+  bar.className = 'branch-bar user';
+  const nav = branchNav(index, 'Versions of this message');
+  if (nav) bar.appendChild(nav);
+  const edit = document.createElement('button');
+  edit.type = 'button';
+  edit.className = 'btn btn-link btn-sm';
+  edit.innerHTML = '<i class="bi bi-pencil"></i> Edit';
+  edit.addEventListener('click', () => startEdit(index));
+  bar.appendChild(edit);
+  return bar;
+}
+
+// Regenerate (same settings or any MODEL_OPTIONS model), sibling answers and Compare
+function answerBranchBar(userIndex, end) {
+  const reply = userIndex + 1;
+  const answer = agent.messages.slice(reply, end).filter(m => m.role === 'assistant' && m.model).at(-1);
+  const { count } = agent.branchInfo(reply);
+  const bar = document.createElement('div');
+  bar.className = 'branch-bar assistant';
+  const nav = branchNav(reply, 'Other answers to this message');
+  if (nav) bar.appendChild(nav);
+  if (answer) bar.insertAdjacentHTML('beforeend', `<span class="branch-model">${escapeHtml(answer.model.provider)} · ${escapeHtml(answer.model.model)}</span>`);
+
+  const menu = Object.entries(MODEL_OPTIONS).map(([provider, opts]) =>
+    `<li><h6 class="dropdown-header">${escapeHtml(provider)}</h6></li>` +
+    opts.map(o => `<li><button type="button" class="dropdown-item" data-provider="${escapeHtml(provider)}" data-model="${escapeHtml(o.value)}">${escapeHtml(o.value)}</button></li>`).join('')
+  ).join('');
+  bar.insertAdjacentHTML('beforeend', `
+    <div class="btn-group btn-group-sm">
+      <button type="button" class="btn btn-link btn-sm" data-regenerate><i class="bi bi-arrow-repeat"></i> Regenerate</button>
+      <button type="button" class="btn btn-link btn-sm dropdown-toggle dropdown-toggle-split" data-bs-toggle="dropdown" aria-expanded="false" title="Regenerate with another model"></button>
+      <ul class="dropdown-menu dropdown-menu-dark branch-models">${menu}</ul>
+    </div>`);
+  bar.querySelector('[data-regenerate]').addEventListener('click', () => regenerate(userIndex));
+  bar.querySelectorAll('.dropdown-item').forEach(b => b.addEventListener('click', () => regenerate(userIndex, { provider: b.dataset.provider, model: b.dataset.model })));
+
+  if (count > 1) {
+    const compare = document.createElement('button');
+    compare.type = 'button';
+    compare.className = 'btn btn-link btn-sm';
+    compare.innerHTML = '<i class="bi bi-layout-split"></i> Compare';
+    compare.addEventListener('click', () => showCompare(reply));
+    bar.appendChild(compare);
   }
-  if (!key) return { error: 'AI Pipe token required (use Provider: AI Pipe or log in via AI Pipe).' };
+  return bar;
+}
 
-  const url = 'https://aipipe.org/openrouter/v1/chat/completions';
-  const headers = { 'Content-Type': 'application/json', 'Authorization': `Bearer ${key}` };
-  const body = { model, messages: [{ role: 'user', content: prompt }], max_tokens };
-  const res = await fetch(url, { method: 'POST', headers, body: JSON.stringify(body) });
-  if (!res.ok) return { error: `AI Pipe error: ${res.status} ${res.statusText}`, detail: await res.text() };
-  const data = await res.json();
-  const text = data?.choices?.[0]?.message?.content || '';
-  return { text };
+function switchBranch(index, step) {
+  if (state.running) return;
+  const top = chatEl.scrollTop;
+  if (!agent.switchBranch(index, step)) return;
+  renderMessages(agent.messages);
+  chatEl.scrollTop = top;
+  persistSession();
 }
 
-// JS sandbox via Worker
-async function toolJsExec({ code }) {
-  return new Promise((resolve) => {
-    const logs = [];
-    const workerCode = `
-      "use strict";
-      self.console = { log: (...a) => self.postMessage({ type: 'log', data: a.map(x => String(x)) }) };
-      self.onmessage = async (e) => {
-        try {
-          const userCode = String(e.data || "");
-          const AsyncFunction = Object.getPrototypeOf(async function(){}).constructor;
-          const fn = new AsyncFunction('console', '"use strict";\\n' + userCode);
-          const result = await fn(console);
-          self.postMessage({ type: 'done', result });
-        } catch (err) {
-          self.postMessage({ type: 'error', error: String(err && err.message ? err.message : err) });
-        }
-      };
-    `;
-    const blob   = new Blob([workerCode], { type: 'application/javascript' });
-    const worker = new Worker(URL.createObjectURL(blob));
+// Starts a new branch at agent.messages[index] and runs the agent on it
+async function runBranch(index, text = null, target = null) {
+  if (state.running) return;
+  agent.branchAt(index);
+  setBusy(true);
+  renderMessages(agent.messages);
+  await runAgent(text, target);
+}
 
-    worker.onmessage = (e) => {
-      if (e.data?.type === 'log') logs.push(e.data.data.join(' '));
-      if (e.data?.type === 'error') {
-        showCode(logs, null, e.data.error);
-        resolve({ logs, error: e.data.error });
-        worker.terminate();
-      }
-      if (e.data?.type === 'done') {
-        showCode(logs, e.data.result, null);
-        resolve({ logs, result: e.data.result });
-        worker.terminate();
-      }
-    };
+function regenerate(userIndex, target = null) {
+  return runBranch(userIndex + 1, null, target);
+}
 
-    const safe = (code || '').replace(/<\/script>/gi, '<\\/script>');
-    worker.postMessage(safe);
+// Inline editor in the user bubble; sending makes the edited text a sibling of the original
+function startEdit(index) {
+  if (state.running) return;
+  const bubble = chatEl.querySelector(`.message[data-index="${index}"] .bubble`);
+  if (!bubble || bubble.querySelector('.edit-box')) return;
+  const original = contentText(agent.messages[index].content);
+  bubble.innerHTML = `
+    <textarea class="form-control form-control-sm edit-box" rows="3"></textarea>
+    <div class="d-flex justify-content-end gap-2 mt-2">
+      <button type="button" class="btn btn-sm btn-outline-light" data-cancel>Cancel</button>
+      <button type="button" class="btn btn-sm btn-primary" data-save><i class="bi bi-send"></i> Send</button>
+    </div>`;
+  const box = bubble.querySelector('.edit-box');
+  box.value = original;
+  box.focus();
+  const cancel = () => { bubble.innerHTML = escapeHtml(original); };
+  const save = () => {
+    const text = box.value.trim();
+    if (!text || text === original.trim()) return cancel();
+    runBranch(index, text);
+  };
+  bubble.querySelector('[data-cancel]').addEventListener('click', cancel);
+  bubble.querySelector('[data-save]').addEventListener('click', save);
+  box.addEventListener('keydown', (e) => {
+    if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); save(); }
+    if (e.key === 'Escape') cancel();
   });
 }
 
-function showCode(logs, result, error) {
-  codeCard.classList.remove('d-none');
-  const lines = [];
-  if (logs?.length) { lines.push('/* console.log */'); for (const l of logs) lines.push('> ' + l); lines.push(''); }
-  if (error) { lines.push('/* error */'); lines.push(String(error)); }
-  else { lines.push('/* result */'); lines.push(typeof result === 'string' ? result : JSON.stringify(result, null, 2)); }
-  codeOutput.textContent = lines.join('\n');
+// Side-by-side view of every answer to one user message (the siblings of agent.messages[index])
+function showCompare(index) {
+  const body = $('#compareBody');
+  body.innerHTML = '';
+  agent.tree.alternatives(index).forEach((alt, i) => {
+    const answer = alt.messages.filter(m => m.role === 'assistant' && m.content).at(-1);
+    const model = alt.messages.filter(m => m.role === 'assistant' && m.model).at(-1)?.model;
+    const toolCalls = alt.messages.filter(m => m.role === 'tool').length;
+    const col = document.createElement('div');
+    col.className = 'col';
+    col.innerHTML = `
+      <div class="card h-100 compare-card${alt.active ? ' border-info' : ''}">
+        <div class="card-header d-flex align-items-center gap-2 small">
+          <b>Answer ${i + 1}</b>
+          <span class="text-body-secondary">${model ? `${escapeHtml(model.provider)} · ${escapeHtml(model.model)}` : 'unknown model'}</span>
+          ${toolCalls ? `<span class="badge text-bg-secondary">${toolCalls} tool call${toolCalls === 1 ? '' : 's'}</span>` : ''}
+          ${alt.active
+            ? '<span class="badge text-bg-info ms-auto">shown</span>'
+            : '<button type="button" class="btn btn-sm btn-outline-primary ms-auto" data-show>Show in chat</button>'}
+        </div>
+        <div class="card-body compare-answer"></div>
+      </div>`;
+    renderAssistantContent(col.querySelector('.compare-answer'), answer?.content || '_No answer text._');
+    col.querySelector('[data-show]')?.addEventListener('click', () => {
+      bootstrap.Modal.getOrCreateInstance($('#compareModal')).hide();
+      switchBranch(index, i + 1 - agent.branchInfo(index).position);
+    });
+    body.appendChild(col);
+  });
+  bootstrap.Modal.getOrCreateInstance($('#compareModal')).show();
 }
 
+// -------- Agent events (the chat is drawn from these) --------
+let liveBubble = null;          // assistant bubble receiving streamed text
+const traceCards = new Map();   // tool_call object -> its trace card, until the result arrives
+
+agent.on('delta', ({ content }) => {
+  if (!liveBubble) liveBubble = addMessage('assistant', '');
+  renderAssistantContent(liveBubble, content, { final: false });
+  chatEl.scrollTop = chatEl.scrollHeight;
+});
+
+agent.on('message', ({ message: m, index }) => {
+  if (m.role === 'user') markRow(addMessage('user', escapeHtml(m.content)), index);
+  if (m.role === 'assistant') {
+    // Final text replaces the streamed draft
+    let bubble = liveBubble;
+    liveBubble = null;
+    if (m.content) {
+      bubble = bubble || addMessage('assistant', '');
+      renderAssistantContent(bubble, m.content, { incomplete: m.incomplete });
+      markRow(bubble, index);
+    }
+    if (m.tool_calls?.length) {
+      const group = addToolTraceGroup(index, bubble);
+      for (const tc of m.tool_calls) traceCards.set(tc, addToolTrace(group, tc, checkToolArguments(tc).args));
+    }
+  }
+  persistSession();
+});
+
+agent.on('tool-call-start', ({ call, args, edited }) => {
+  const card = traceCards.get(call);
+  if (!card) return;
+  if (edited) card.querySelector('.tool-args').textContent = JSON.stringify(args, null, 2);
+  setToolTraceStatus(card, 'running');
+});
+
+agent.on('tool-call-end', ({ call, message, result }) => {
+  const card = traceCards.get(call);
+  if (!card) return;
+  traceCards.delete(call);
+  setToolTraceResult(card, result, message.meta);
+  if (message.outputs) renderToolOutputs(card, message.outputs);
+});
+
+agent.on('usage', () => renderUsage());
+agent.on('status', ({ text }) => setStatusText(text));
+agent.on('model', (target) => showActiveModel(target, target.fallback));
+agent.on('notice', ({ level, text }) => addAlert(level, escapeHtml(text)));
+agent.on('error', ({ text }) => addAlert('danger', escapeHtml(text)));
+
 // -------- Wire up UI --------
 $('#send').addEventListener('click', onSend);
-$('#clear').addEventListener('click', () => {
+$('#stop').addEventListener('click', () => agent.stop());
+// Clear deletes the saved conversation with every branch, so it asks first (like the sidebar delete)
+$('#clear').addEventListener('click', async () => {
   if (state.running) return;
-  state.messages = []; chatEl.innerHTML = ''; codeCard.classList.add('d-none');
+  if (agent.messages.length && !confirm('Delete this conversation and all its branches?')) return;
+  const id = state.sessionId;
+  startNewSession();
+  await deleteStoredSession(id);
+  renderSessionList();
+});
+$('#newSession').addEventListener('click', () => { if (!state.running) startNewSession(); });
+$('#import').addEventListener('click', () => $('#importFile').click());
+$('#importFile').addEventListener('change', async (e) => {
+  await importConversation(e.target.files?.[0]);
+  e.target.value = '';
 });
 $('#export').addEventListener('click', () => {
-  const blob = new Blob([JSON.stringify(state.messages, null, 2)], { type: 'application/json' });
-  const url = URL.createObjectURL(blob);
-  const a = document.createElement('a');
-  a.href = url; a.download = 'conversation.json'; a.click();
-  URL.revokeObjectURL(url);
+  // Keys that reached tool results or messages (pasted by the user, echoed by a page) are masked
+  downloadJson('conversation.json', redactSecrets(conversationExport(), agent.secrets()));
+});
+$('#attachFile').addEventListener('click', () => $('#attachInput').click());
+$('#attachInput').addEventListener('change', async (e) => {
+  await addFiles([...(e.target.files || [])]);
+  e.target.value = '';
+});
+// Files dropped anywhere on the conversation card are attached
+const chatCard = $('#chatCard');
+chatCard.addEventListener('dragover', (e) => {
+  if (![...(e.dataTransfer?.types || [])].includes('Files')) return;
+  e.preventDefault();
+  chatCard.classList.add('drop-target');
+});
+chatCard.addEventListener('dragleave', (e) => { if (!chatCard.contains(e.relatedTarget)) chatCard.classList.remove('drop-target'); });
+chatCard.addEventListener('drop', (e) => {
+  chatCard.classList.remove('drop-target');
+  if (!e.dataTransfer?.files?.length) return;
+  e.preventDefault();
+  addFiles([...e.dataTransfer.files]);
+});
+$('#clearRuns').addEventListener('click', clearRunHistory);
+$('#clearSearchCache').addEventListener('click', async () => {
+  try {
+    await clearSearchCache();
+    addAlert('success', 'Search cache cleared.');
+  } catch (err) {
+    addAlert('warning', 'Could not clear the search cache: ' + escapeHtml(err?.message || String(err)));
+  }
+});
+$('#apiKey').addEventListener('change', () => {
+  const id = PROVIDER_KEY_INPUTS[$('#provider').value];
+  if (id) $('#' + id).value = $('#apiKey').value.trim();
+  saveKeys();
+});
+for (const id of [...Object.values(PROVIDER_KEY_INPUTS), ...SEARCH_KEY_INPUTS]) {
+  $('#' + id).addEventListener('change', () => { syncProviderKey(); saveKeys(); });
+}
+$('#rememberKeys').addEventListener('change', () => {
+  if ($('#rememberKeys').checked) saveKeys(); else forgetKeys();
+});
+$('#setPassphrase').addEventListener('click', async () => {
+  const passphrase = $('#keyPassphrase').value;
+  try {
+    await encryptKeys(passphrase);
+    $('#keyPassphrase').value = '';
+    addAlert('success', passphrase ? 'Saved keys are encrypted with the passphrase.' : 'Saved keys are stored without encryption.');
+  } catch (err) {
+    addAlert('warning', escapeHtml(err?.message || String(err)));
+  }
+});
+$('#unlockKeys').addEventListener('click', showUnlockDialog);
+$('#lockKeys').addEventListener('click', lockKeys);
+$('#forgetKeys').addEventListener('click', () => {
+  if (confirm('Remove the saved keys from this browser? The fields keep their current values.')) forgetKeys();
+});
+$('#unlockForm').addEventListener('submit', async (e) => {
+  e.preventDefault();
+  $('#unlockError').textContent = '';
+  try {
+    await unlockKeys($('#unlockPassphrase').value);
+    bootstrap.Modal.getOrCreateInstance($('#unlockModal')).hide();
+  } catch (err) {
+    $('#unlockError').textContent = err?.message || String(err);
+  }
 });
 $('#userInput').addEventListener('keydown', (e) => {
   if (e.key === 'Enter' && !e.shiftKey) { e.preventDefault(); onSend(); }
+  if (e.key === 'Escape' && state.running) agent.stop();
 });
 
 // Theme toggle (page dark by default — chat card stays light)
@@ -589,9 +2227,53 @@ if (themeToggle) {
   });
 }
 
+// Tool-call trace visibility (remembered per browser)
+const traceToggle = $('#traceToggle');
+traceToggle.checked = (() => { try { return localStorage.getItem('showToolTrace') !== '0'; } catch { return true; } })();
+setTraceVisible(traceToggle.checked);
+traceToggle.addEventListener('change', () => setTraceVisible(traceToggle.checked));
+
+// Tools panel
+$('#addTool').addEventListener('click', () => openToolForm(null));
+$('#toolKind').addEventListener('change', syncToolFormKind);
+$('#saveTool').addEventListener('click', submitToolForm);
+$('#cancelTool').addEventListener('click', () => $('#toolForm').classList.add('d-none'));
+$('#exportTools').addEventListener('click', exportCustomTools);
+$('#importTools').addEventListener('click', () => $('#importToolsFile').click());
+$('#importToolsFile').addEventListener('change', async (e) => {
+  await importCustomTools(e.target.files?.[0]);
+  e.target.value = '';
+});
+
+// Presets
+$('#preset').addEventListener('change', (e) => applyPreset(e.target.value));
+$('#savePreset').addEventListener('click', () => {
+  upsertPreset(currentPreset($('#preset').value));
+  addAlert('success', `Preset "${escapeHtml($('#preset').value)}" saved.`);
+});
+$('#savePresetAs').addEventListener('click', savePresetAs);
+$('#deletePreset').addEventListener('click', deletePreset);
+$('#exportPresets').addEventListener('click', exportPresets);
+$('#importPresets').addEventListener('click', () => $('#importPresetsFile').click());
+$('#importPresetsFile').addEventListener('change', async (e) => {
+  await importPresets(e.target.files?.[0]);
+  e.target.value = '';
+});
+
 // Init
-window.addEventListener('DOMContentLoaded', () => { populateModelOptions(); });
-$('#provider').addEventListener('change', () => { populateModelOptions(); });
+window.addEventListener('DOMContentLoaded', () => {
+  populateModelOptions();
+  loadCustomTools();
+  loadPresets();
+  loadPrices();
+  renderPriceTable();
+  renderToolList();
+  loadKeys();
+  startNewSession();
+});
+// A custom model ID belongs to the provider it was typed for (as in applyPreset)
+$('#provider').addEventListener('change', () => { $('#customModel').value = ''; populateModelOptions(); syncProviderKey(); });
+$('#refreshModels').addEventListener('click', refreshModels);
 
 async function onSend() {
   if (state.running) return;
@@ -599,9 +2281,20 @@ async function onSend() {
   const text = ta.value.trim();
   if (!text) return;
 
-  addMessage('user', escapeHtml(text));
-  state.messages.push({ role: 'user', content: text });
   ta.value = '';
 
-  await agentLoop();
+  await runAgent(text);
+}
+
+// Runs the agent (text = new user message, target = { provider, model } to pin the model) and
+// refreshes the page around it
+async function runAgent(text = null, target = null) {
+  setBusy(true);
+  const { stopped, restored } = await agent.run(text, target);
+  liveBubble = null;
+  if (stopped) addAlert('secondary', 'Stopped.');
+  setBusy(false);
+  // A regeneration that produced nothing falls back to the branch shown before
+  if (restored) renderMessages(agent.messages); else renderBranchBars();
+  persistSession();
 }
@@ -0,0 +1,138 @@
+// Provider adapter conformance: the same OpenAI-style history goes through every provider's
+// request translation (captured from a stubbed fetch), and every response comes back in the
+// OpenAI chat.completion shape.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { callProvider, listModels } = require('../agent-core.js');
+
+const HISTORY = [
+  { role: 'system', content: 'You are terse.' },
+  { role: 'user', content: 'Weather in Paris and Rome?' },
+  {
+    role: 'assistant', content: '',
+    tool_calls: [
+      { id: 'call_1', type: 'function', function: { name: 'web_search', arguments: '{"q":"Paris weather"}' } },
+      { id: 'call_2', type: 'function', function: { name: 'fetch_url', arguments: { url: 'https://example.com/rome' } } }
+    ]
+  },
+  { role: 'tool', tool_call_id: 'call_1', name: 'web_search', content: '{"results":[{"title":"Sunny"}]}' },
+  { role: 'tool', tool_call_id: 'call_2', content: 'plain text page' }, // no name: recovered from the call id
+  { role: 'system', content: 'Summary of earlier turns: none.' },
+  { role: 'assistant', content: 'Paris is sunny.' },
+  { role: 'user', content: 'Thanks' }
+];
+
+const TOOLS = [{ type: 'function', function: { name: 'web_search', description: 'Search', parameters: { type: 'object', properties: { q: { type: 'string' } } } } }];
+
+// Runs one non-streaming call and returns the JSON body the adapter posted
+async function capture(provider, reply = {}) {
+  let body = null;
+  const io = {
+    baseUrl: 'http://localhost:11434/v1',
+    signal: undefined,
+    fetch: async (url, init) => {
+      body = JSON.parse(init.body);
+      return new Response(JSON.stringify(reply), { status: 200, headers: { 'content-type': 'application/json' } });
+    }
+  };
+  const data = await callProvider(provider, 'test-key', 'test-model', HISTORY, 100, 0.5, TOOLS, null, io);
+  return { body, data };
+}
+
+for (const provider of ['openai', 'aipipe', 'compatible']) {
+  test(`${provider}: history passes through in order with tool call ids`, async () => {
+    const { body } = await capture(provider);
+    assert.deepEqual(body.messages.map(m => m.role), HISTORY.map(m => m.role));
+    assert.equal(body.messages[0].content, 'You are terse.');
+    assert.equal(body.messages[5].content, 'Summary of earlier turns: none.');
+    const calls = body.messages[2].tool_calls;
+    assert.equal(body.messages[2].content, null);
+    assert.deepEqual(calls.map(c => [c.id, c.function.name]), [['call_1', 'web_search'], ['call_2', 'fetch_url']]);
+    assert.equal(typeof calls[1].function.arguments, 'string');
+    assert.deepEqual(JSON.parse(calls[1].function.arguments), { url: 'https://example.com/rome' });
+    assert.deepEqual(body.messages.slice(3, 5).map(m => m.tool_call_id), ['call_1', 'call_2']);
+    assert.equal(body.tools[0].function.name, 'web_search');
+  });
+}
+
+test('anthropic: system lifted out, tool_use/tool_result paired by id, roles alternate', async () => {
+  const { body } = await capture('anthropic');
+  assert.equal(body.system, 'You are terse.\n\nSummary of earlier turns: none.');
+  assert.ok(body.messages.every(m => m.role !== 'system'));
+  assert.deepEqual(body.messages.map(m => m.role), ['user', 'assistant', 'user', 'assistant', 'user']);
+  for (let i = 1; i < body.messages.length; i++) assert.notEqual(body.messages[i].role, body.messages[i - 1].role);
+
+  const uses = body.messages[1].content;
+  assert.deepEqual(uses.map(b => [b.type, b.id, b.name]), [['tool_use', 'call_1', 'web_search'], ['tool_use', 'call_2', 'fetch_url']]);
+  assert.deepEqual(uses[0].input, { q: 'Paris weather' });
+  assert.deepEqual(uses[1].input, { url: 'https://example.com/rome' });
+
+  const results = body.messages[2].content;
+  assert.deepEqual(results.map(b => [b.type, b.tool_use_id]), [['tool_result', 'call_1'], ['tool_result', 'call_2']]);
+  assert.equal(results[1].content, 'plain text page');
+  assert.equal(body.tools[0].name, 'web_search');
+  assert.deepEqual(body.tools[0].input_schema, TOOLS[0].function.parameters);
+});
+
+test('gemini: systemInstruction lifted out, functionResponse named after its call, roles alternate', async () => {
+  const { body } = await capture('gemini');
+  assert.deepEqual(body.systemInstruction, { parts: [{ text: 'You are terse.\n\nSummary of earlier turns: none.' }] });
+  assert.deepEqual(body.contents.map(c => c.role), ['user', 'model', 'user', 'model', 'user']);
+
+  const calls = body.contents[1].parts;
+  assert.deepEqual(calls.map(p => p.functionCall.name), ['web_search', 'fetch_url']);
+  assert.deepEqual(calls[1].functionCall.args, { url: 'https://example.com/rome' });
+
+  const responses = body.contents[2].parts.map(p => p.functionResponse);
+  assert.deepEqual(responses.map(r => r.name), ['web_search', 'fetch_url']);
+  assert.deepEqual(responses[0].response, { results: [{ title: 'Sunny' }] });
+  assert.deepEqual(responses[1].response, { text: 'plain text page' });
+  assert.equal(body.tools[0].functionDeclarations[0].name, 'web_search');
+});
+
+test('anthropic requests opt into direct browser access (chat and model listing)', async () => {
+  const seen = [];
+  const fetch = async (url, init) => {
+    seen.push(init.headers);
+    return new Response(JSON.stringify({ content: [], data: [{ id: 'claude-test' }] }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  await callProvider('anthropic', 'test-key', 'test-model', HISTORY, 100, 0.5, [], null, { fetch });
+  assert.deepEqual(await listModels('anthropic', 'test-key', '', fetch), [{ value: 'claude-test', label: 'claude-test' }]);
+  for (const headers of seen) {
+    assert.equal(headers['anthropic-dangerous-direct-browser-access'], 'true');
+    assert.equal(headers['x-api-key'], 'test-key');
+  }
+  assert.equal(seen.length, 2);
+});
+
+test('temperature is clamped to the range each provider accepts', async () => {
+  const sent = async (provider, temperature) => {
+    let body;
+    const io = { baseUrl: 'http://localhost:11434/v1', fetch: async (url, init) => { body = JSON.parse(init.body); return new Response('{}', { status: 200 }); } };
+    await callProvider(provider, 'test-key', 'test-model', HISTORY, 100, temperature, [], null, io);
+    return body.temperature ?? body.generationConfig.temperature;
+  };
+  assert.equal(await sent('anthropic', 1.5), 1);
+  assert.equal(await sent('openai', 1.5), 1.5);
+  assert.equal(await sent('gemini', 3), 2);
+  assert.equal(await sent('compatible', -1), 0);
+});
+
+test('every provider answers in the OpenAI shape', async () => {
+  const replies = {
+    openai: { choices: [{ message: { role: 'assistant', content: 'Hi', tool_calls: [{ id: 'c1', type: 'function', function: { name: 'web_search', arguments: '{"q":"x"}' } }] } }], usage: { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 } },
+    anthropic: { content: [{ type: 'text', text: 'Hi' }, { type: 'tool_use', id: 'c1', name: 'web_search', input: { q: 'x' } }], usage: { input_tokens: 3, output_tokens: 2 } },
+    gemini: { candidates: [{ content: { role: 'model', parts: [{ text: 'Hi' }, { functionCall: { name: 'web_search', args: { q: 'x' } } }] } }], usageMetadata: { promptTokenCount: 3, candidatesTokenCount: 2, totalTokenCount: 5 } }
+  };
+  for (const [provider, reply] of Object.entries(replies)) {
+    const { data } = await capture(provider, reply);
+    const msg = data.choices[0].message;
+    assert.equal(msg.content, 'Hi', provider);
+    assert.equal(msg.tool_calls.length, 1, provider);
+    assert.equal(msg.tool_calls[0].function.name, 'web_search', provider);
+    assert.deepEqual(JSON.parse(msg.tool_calls[0].function.arguments), { q: 'x' }, provider);
+    assert.ok(msg.tool_calls[0].id, provider);
+    assert.deepEqual(data.usage, { prompt_tokens: 3, completion_tokens: 2, total_tokens: 5 }, provider);
+  }
+});
@@ -0,0 +1,31 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { collectSources, extractCitations, isWebUrl } = require('../agent-core.js');
+
+test('only http(s) URLs become sources', () => {
+  const messages = [{
+    role: 'tool', name: 'web_search', tool_call_id: 'c1',
+    content: JSON.stringify({ items: [
+      { source_id: 1, link: 'https://example.com/a', title: 'A' },
+      { source_id: 2, link: 'javascript:alert(1)', title: 'Bad' },
+      { source_id: 3, link: 'data:text/html,<script>alert(1)</script>', title: 'Bad' },
+      { source_id: 4, link: 'http://example.org/b', title: 'B' }
+    ] })
+  }, {
+    role: 'tool', name: 'fetch_url', tool_call_id: 'c2',
+    content: JSON.stringify({ source_id: 5, url: 'JavaScript:alert(1)', title: 'Bad' })
+  }];
+  const sources = collectSources(messages);
+  assert.deepEqual([...sources.keys()], [1, 4]);
+  assert.deepEqual(extractCitations('See [1][2][4][5].', sources), [1, 4]);
+});
+
+test('isWebUrl', () => {
+  assert.equal(isWebUrl('https://example.com'), true);
+  assert.equal(isWebUrl('HTTP://EXAMPLE.COM'), true);
+  assert.equal(isWebUrl(' javascript:alert(1)'), false);
+  assert.equal(isWebUrl('vbscript:x'), false);
+  assert.equal(isWebUrl('not a url'), false);
+  assert.equal(isWebUrl(undefined), false);
+});
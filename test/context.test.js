@@ -0,0 +1,65 @@
+// Context budgeting through a full Agent run: the model's requests are captured by a stubbed fetch.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Agent } = require('../agent-core.js');
+
+function reply(message) {
+  return new Response(JSON.stringify({ choices: [{ message }], usage: { prompt_tokens: 1, completion_tokens: 1, total_tokens: 2 } }), {
+    status: 200, headers: { 'content-type': 'application/json' }
+  });
+}
+
+// Two parallel calls to a tool whose results alone exceed the budget, after a long earlier turn
+function setup(settings) {
+  const requests = [];
+  const answers = [
+    { role: 'assistant', content: '', tool_calls: [
+      { id: 'call_1', type: 'function', function: { name: 'dump', arguments: '{"part":1}' } },
+      { id: 'call_2', type: 'function', function: { name: 'dump', arguments: '{"part":2}' } }
+    ] },
+    { role: 'assistant', content: 'Done.' }
+  ];
+  const tools = new Map([['dump', {
+    name: 'dump', description: 'Returns a large blob', enabled: true,
+    parameters: { type: 'object', properties: { part: { type: 'integer' } } },
+    handler: async ({ part }) => ({ part, data: String(part).repeat(6000) })
+  }]]);
+  const agent = new Agent({
+    settings: { provider: 'openai', apiKey: 'sk-test', model: 'gpt-4o-mini', stream: false, maxTokens: 200, contextTokens: 2500, toolResultMaxChars: 4000, summarize: false, retries: 0, ...settings },
+    tools,
+    fetch: async (url, init) => { requests.push(JSON.parse(init.body)); return reply(answers[requests.length - 1]); },
+    messages: [
+      { role: 'user', content: 'Earlier question ' + 'x'.repeat(3000) },
+      { role: 'assistant', content: 'Earlier answer ' + 'y'.repeat(3000) }
+    ]
+  });
+  return { agent, requests };
+}
+
+test('the newest tool results are shrunk to fit, never dropped', async () => {
+  const { agent, requests } = setup();
+  const notices = [];
+  agent.on('notice', (n) => notices.push(n));
+  await agent.run('Dump both parts');
+
+  assert.equal(requests.length, 2);
+  const sent = requests[1].messages;
+  const results = sent.filter(m => m.role === 'tool');
+  assert.deepEqual(results.map(m => m.tool_call_id), ['call_1', 'call_2']);
+  assert.ok(results.every(m => /truncated \d+ characters/.test(m.content)));
+  assert.ok(sent.some(m => m.role === 'user' && m.content === 'Dump both parts'));
+  assert.ok(!sent.some(m => m.content?.startsWith?.('Earlier question')), 'the older turn makes room');
+  assert.deepEqual(notices, []);
+  assert.equal(agent.messages.at(-1).content, 'Done.');
+});
+
+test('a turn that cannot fit at all is reported, not silently cut', async () => {
+  const { agent, requests } = setup({ contextTokens: 700 });
+  const notices = [];
+  agent.on('notice', (n) => notices.push(n));
+  await agent.run('Dump both parts');
+
+  assert.deepEqual(requests[1].messages.filter(m => m.role === 'tool').map(m => m.tool_call_id), ['call_1', 'call_2']);
+  assert.ok(notices.some(n => /context budget/.test(n.text)));
+});
@@ -0,0 +1,81 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Agent, ENDPOINTS } = require('../agent-core.js');
+
+const json = (body, status = 200) => new Response(JSON.stringify(body), { status, headers: { 'content-type': 'application/json' } });
+
+test('after a fallback answers, the rest of the run stays on it', async () => {
+  const hits = { openai: 0, anthropic: 0 };
+  const anthropicAnswers = [
+    { content: [{ type: 'tool_use', id: 'toolu_1', name: 'echo', input: { text: 'a' } }], usage: { input_tokens: 1, output_tokens: 1 } },
+    { content: [{ type: 'tool_use', id: 'toolu_2', name: 'echo', input: { text: 'b' } }], usage: { input_tokens: 1, output_tokens: 1 } },
+    { content: [{ type: 'text', text: 'All done.' }], usage: { input_tokens: 1, output_tokens: 1 } }
+  ];
+  const fetch = async (url) => {
+    if (url === ENDPOINTS.openai) { hits.openai++; return json({ error: { message: 'overloaded' } }, 503); }
+    return json(anthropicAnswers[hits.anthropic++]);
+  };
+  const tools = new Map([['echo', {
+    name: 'echo', description: 'Echoes text', enabled: true,
+    parameters: { type: 'object', properties: { text: { type: 'string' } } },
+    handler: async ({ text }) => ({ text })
+  }]]);
+  const agent = new Agent({
+    settings: {
+      provider: 'openai', apiKey: 'sk-test', model: 'gpt-4o-mini', stream: false, retries: 0,
+      fallbacks: [{ provider: 'anthropic', model: 'claude-3-5-haiku-latest' }],
+      fallbackKeys: { anthropic: 'sk-ant-test' }
+    },
+    tools,
+    fetch
+  });
+  const notices = [];
+  agent.on('notice', (n) => notices.push(n.text));
+
+  await agent.run('Echo twice');
+  assert.equal(hits.openai, 1);
+  assert.equal(hits.anthropic, 3);
+  assert.equal(notices.filter(t => t.startsWith('Switching to fallback')).length, 1);
+  assert.deepEqual(agent.messages.filter(m => m.role === 'assistant').map(m => m.model.provider), ['anthropic', 'anthropic', 'anthropic']);
+
+  // A new run tries the primary again
+  hits.anthropic = 0;
+  await agent.run('Again');
+  assert.equal(hits.openai, 2);
+});
+
+test('a primary without a key hands over to a fallback that has one', async () => {
+  const urls = [];
+  const fetch = async (url) => {
+    urls.push(url);
+    return json({ content: [{ type: 'text', text: 'From the fallback.' }], usage: { input_tokens: 1, output_tokens: 1 } });
+  };
+  const agent = new Agent({
+    settings: {
+      provider: 'openai', apiKey: '', model: 'gpt-4o-mini', stream: false, retries: 0,
+      fallbacks: [{ provider: 'anthropic', model: 'claude-3-5-haiku-latest' }],
+      fallbackKeys: { anthropic: 'sk-ant-test' }
+    },
+    fetch
+  });
+  const notices = [];
+  agent.on('notice', (n) => notices.push(n.text));
+
+  await agent.run('Hello');
+  assert.deepEqual(urls, [ENDPOINTS.anthropic]);
+  assert.equal(agent.messages.at(-1).content, 'From the fallback.');
+  assert.ok(notices.some(t => /Missing API key/.test(t)));
+  assert.ok(notices.some(t => /trying the fallbacks/.test(t)));
+});
+
+test('without any key the run ends without a request', async () => {
+  const urls = [];
+  const agent = new Agent({
+    settings: { provider: 'openai', apiKey: '', model: 'gpt-4o-mini', fallbacks: [{ provider: 'gemini', model: 'gemini-2.0-flash' }], fallbackKeys: {} },
+    fetch: async (url) => { urls.push(url); return json({}); }
+  });
+  await agent.run('Hello');
+  assert.deepEqual(urls, []);
+  assert.deepEqual(agent.messages.map(m => m.role), ['user']);
+});
@@ -0,0 +1,167 @@
+// Streaming readers (OpenAI, Anthropic, Gemini SSE) fed through callProvider by a stubbed fetch
+// whose body arrives in awkward chunks, plus one run against a local SSE stand-in server.
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const http = require('node:http');
+const { Agent, callProvider, ENDPOINTS } = require('../agent-core.js');
+
+const HISTORY = [{ role: 'user', content: 'Hi' }];
+
+// Serializes events as SSE, then cuts the text every `size` characters so that events, JSON
+// payloads and "\r\n" pairs are split across reads
+function sseChunks(events, { size = 7, eol = '\n' } = {}) {
+  const text = events.map(e => (e.event ? `event: ${e.event}${eol}` : '') + `data: ${typeof e.data === 'string' ? e.data : JSON.stringify(e.data)}${eol}${eol}`).join('');
+  const chunks = [];
+  for (let i = 0; i < text.length; i += size) chunks.push(text.slice(i, i + size));
+  return chunks;
+}
+
+function sseResponse(chunks) {
+  const encoder = new TextEncoder();
+  const body = new ReadableStream({
+    start(controller) {
+      for (const c of chunks) controller.enqueue(encoder.encode(c));
+      controller.close();
+    }
+  });
+  return new Response(body, { status: 200, headers: { 'content-type': 'text/event-stream' } });
+}
+
+async function stream(provider, chunks) {
+  const deltas = [];
+  let body;
+  const io = { baseUrl: 'http://localhost:11434/v1', fetch: async (url, init) => { body = JSON.parse(init.body); return sseResponse(chunks); } };
+  const data = await callProvider(provider, 'test-key', 'test-model', HISTORY, 100, 0.5, [], (d) => deltas.push(d), io);
+  return { data, deltas, body };
+}
+
+const OPENAI_EVENTS = [
+  { data: { choices: [{ delta: { role: 'assistant', content: 'Hel' } }] } },
+  { data: { choices: [{ delta: { content: 'lo ✓' } }] } },
+  { data: { choices: [{ delta: { tool_calls: [{ index: 0, id: 'call_a', function: { name: 'web_', arguments: '{"q":' } }] } }] } },
+  { data: { choices: [{ delta: { tool_calls: [{ index: 1, id: 'call_b', function: { name: 'fetch_url', arguments: '{"url":"https://x.test"}' } }] } }] } },
+  { data: { choices: [{ delta: { tool_calls: [{ index: 0, function: { name: 'search', arguments: '"paris"}' } }] } }] } },
+  { data: { choices: [], usage: { prompt_tokens: 11, completion_tokens: 7, total_tokens: 18 } } },
+  { data: '[DONE]' }
+];
+
+function checkOpenAI({ data, deltas, body }) {
+  assert.equal(body.stream, true);
+  assert.deepEqual(body.stream_options, { include_usage: true });
+  const msg = data.choices[0].message;
+  assert.equal(msg.content, 'Hello ✓');
+  assert.deepEqual(deltas, ['Hel', 'lo ✓']);
+  assert.deepEqual(msg.tool_calls.map(t => [t.id, t.function.name, JSON.parse(t.function.arguments)]), [
+    ['call_a', 'web_search', { q: 'paris' }],
+    ['call_b', 'fetch_url', { url: 'https://x.test' }]
+  ]);
+  assert.deepEqual(data.usage, { prompt_tokens: 11, completion_tokens: 7, total_tokens: 18 });
+}
+
+for (const size of [1, 5, 64, 10000]) {
+  test(`openai stream split every ${size} chars`, async () => {
+    checkOpenAI(await stream('openai', sseChunks(OPENAI_EVENTS, { size })));
+  });
+}
+
+test('openai stream with CRLF line endings split between \\r and \\n', async () => {
+  const chunks = sseChunks(OPENAI_EVENTS, { eol: '\r\n', size: 1 });
+  checkOpenAI(await stream('compatible', chunks));
+});
+
+test('multi-byte characters split across reads are decoded intact', async () => {
+  const bytes = new TextEncoder().encode(sseChunks(OPENAI_EVENTS, { size: 1e6 })[0]);
+  const body = new ReadableStream({
+    start(controller) {
+      for (let i = 0; i < bytes.length; i += 3) controller.enqueue(bytes.slice(i, i + 3));
+      controller.close();
+    }
+  });
+  const io = { fetch: async () => new Response(body, { headers: { 'content-type': 'text/event-stream' } }) };
+  const data = await callProvider('aipipe', 'k', 'm', HISTORY, 100, 0.5, [], () => {}, io);
+  assert.equal(data.choices[0].message.content, 'Hello ✓');
+});
+
+test('anthropic stream: text deltas, tool_use input assembled from partial JSON, usage', async () => {
+  const events = [
+    { event: 'message_start', data: { type: 'message_start', message: { usage: { input_tokens: 20, output_tokens: 1 } } } },
+    { event: 'content_block_start', data: { type: 'content_block_start', index: 0, content_block: { type: 'text', text: '' } } },
+    { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'Look' } } },
+    { event: 'content_block_delta', data: { type: 'content_block_delta', index: 0, delta: { type: 'text_delta', text: 'ing up' } } },
+    { event: 'content_block_stop', data: { type: 'content_block_stop', index: 0 } },
+    { event: 'ping', data: { type: 'ping' } },
+    { event: 'content_block_start', data: { type: 'content_block_start', index: 1, content_block: { type: 'tool_use', id: 'toolu_1', name: 'web_search', input: {} } } },
+    { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: '{"q": "pa' } } },
+    { event: 'content_block_delta', data: { type: 'content_block_delta', index: 1, delta: { type: 'input_json_delta', partial_json: 'ris"}' } } },
+    { event: 'content_block_stop', data: { type: 'content_block_stop', index: 1 } },
+    { event: 'message_delta', data: { type: 'message_delta', delta: { stop_reason: 'tool_use' }, usage: { output_tokens: 15 } } },
+    { event: 'message_stop', data: { type: 'message_stop' } }
+  ];
+  for (const size of [1, 9, 10000]) {
+    const { data, deltas } = await stream('anthropic', sseChunks(events, { size }));
+    const msg = data.choices[0].message;
+    assert.equal(msg.content, 'Looking up');
+    assert.deepEqual(deltas, ['Look', 'ing up']);
+    assert.deepEqual(msg.tool_calls.map(t => [t.id, t.function.name, JSON.parse(t.function.arguments)]), [['toolu_1', 'web_search', { q: 'paris' }]]);
+    assert.deepEqual(data.usage, { prompt_tokens: 20, completion_tokens: 15, total_tokens: 35 });
+  }
+});
+
+test('gemini stream: text merged, functionCall kept, last usageMetadata wins', async () => {
+  const events = [
+    { data: { candidates: [{ content: { role: 'model', parts: [{ text: 'Sure, ' }] } }], usageMetadata: { promptTokenCount: 9, candidatesTokenCount: 1 } } },
+    { data: { candidates: [{ content: { role: 'model', parts: [{ text: 'searching.' }] } }] } },
+    { data: { candidates: [{ content: { role: 'model', parts: [{ functionCall: { name: 'web_search', args: { q: 'paris' } } }] } }], usageMetadata: { promptTokenCount: 9, candidatesTokenCount: 6, totalTokenCount: 15 } } }
+  ];
+  for (const size of [1, 13, 10000]) {
+    const { data, deltas } = await stream('gemini', sseChunks(events, { size, eol: '\r\n' }));
+    const msg = data.choices[0].message;
+    assert.equal(msg.content, 'Sure, searching.');
+    assert.deepEqual(deltas, ['Sure, ', 'searching.']);
+    assert.deepEqual(msg.tool_calls.map(t => [t.function.name, JSON.parse(t.function.arguments)]), [['web_search', { q: 'paris' }]]);
+    assert.deepEqual(data.usage, { prompt_tokens: 9, completion_tokens: 6, total_tokens: 15 });
+  }
+});
+
+test('an error event in the stream rejects the call', async () => {
+  const chunks = sseChunks([{ data: { choices: [{ delta: { content: 'partial' } }] } }, { data: { error: { message: 'overloaded' } } }]);
+  await assert.rejects(stream('openai', chunks), /overloaded/);
+});
+
+test('text streamed before a provider error stays in the history, marked incomplete', async () => {
+  const chunks = sseChunks([{ data: { choices: [{ delta: { content: 'Half an ans' } }] } }, { data: { error: { message: 'overloaded' } } }]);
+  const agent = new Agent({
+    settings: { provider: 'openai', apiKey: 'sk-test', model: 'gpt-4o-mini', stream: true, retries: 0 },
+    fetch: async () => sseResponse(chunks)
+  });
+  const shown = [];
+  agent.on('delta', ({ content }) => shown.push(content));
+  await agent.run('Hi');
+  assert.deepEqual(shown, ['Half an ans']);
+  assert.deepEqual(agent.messages.at(-1), { role: 'assistant', content: 'Half an ans', incomplete: true });
+});
+
+test('local SSE stand-in server through the real fetch', async (t) => {
+  const server = http.createServer((req, res) => {
+    let raw = '';
+    req.on('data', (c) => { raw += c; });
+    req.on('end', async () => {
+      assert.equal(JSON.parse(raw).stream, true);
+      res.writeHead(200, { 'content-type': 'text/event-stream' });
+      for (const c of sseChunks(OPENAI_EVENTS, { size: 16 })) {
+        res.write(c);
+        await new Promise(r => setTimeout(r, 1));
+      }
+      res.end();
+    });
+  });
+  await new Promise(r => server.listen(0, '127.0.0.1', r));
+  const saved = ENDPOINTS.openai;
+  ENDPOINTS.openai = `http://127.0.0.1:${server.address().port}/v1/chat/completions`;
+  t.after(() => { ENDPOINTS.openai = saved; server.close(); });
+
+  const deltas = [];
+  const data = await callProvider('openai', 'k', 'm', HISTORY, 100, 0.5, [], (d) => deltas.push(d), { fetch });
+  checkOpenAI({ data, deltas, body: { stream: true, stream_options: { include_usage: true } } });
+});
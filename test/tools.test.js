@@ -0,0 +1,66 @@
+'use strict';
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { Agent, toolRegistry } = require('../agent-core.js');
+
+const AIPIPE_TOKEN = 'aipipe-token-0123456789abcdef';
+
+async function proxy(settings, resolveKey) {
+  const requests = [];
+  const fetch = async (url, init) => {
+    requests.push({ url, headers: init.headers });
+    return new Response(JSON.stringify({ choices: [{ message: { content: 'pong' } }] }), { status: 200, headers: { 'content-type': 'application/json' } });
+  };
+  const agent = new Agent({ settings, fetch, resolveKey });
+  const result = await toolRegistry.get('aipipe_proxy').handler({ prompt: 'ping' }, { agent, settings: agent.settings(), fetch: agent.fetch });
+  return { result, requests };
+}
+
+test('aipipe_proxy never sends another provider\'s key', async () => {
+  const { result, requests } = await proxy({ provider: 'openai', apiKey: 'sk-openai-secret-123456' }, async () => null);
+  assert.match(result.error, /AI Pipe token required/);
+  assert.equal(requests.length, 0);
+});
+
+test('aipipe_proxy uses the stored AI Pipe key, or the AI Pipe login', async () => {
+  const stored = await proxy({ provider: 'anthropic', apiKey: 'sk-ant-secret-123456', fallbackKeys: { aipipe: AIPIPE_TOKEN } });
+  assert.equal(stored.result.text, 'pong');
+  assert.equal(stored.requests[0].headers.Authorization, `Bearer ${AIPIPE_TOKEN}`);
+
+  const login = await proxy({ provider: 'openai', apiKey: 'sk-openai-secret-123456' }, async (provider) => provider === 'aipipe' ? AIPIPE_TOKEN : null);
+  assert.equal(login.requests[0].headers.Authorization, `Bearer ${AIPIPE_TOKEN}`);
+
+  const selected = await proxy({ provider: 'aipipe', apiKey: AIPIPE_TOKEN });
+  assert.equal(selected.requests[0].headers.Authorization, `Bearer ${AIPIPE_TOKEN}`);
+});
+
+test('fetch_url caches pages per conversation, evicting the least recently used', async () => {
+  const fetched = [];
+  const fetch = async (url) => {
+    fetched.push(url);
+    return new Response('x'.repeat(2500), { status: 200, headers: { 'content-type': 'text/plain' } });
+  };
+  const settings = { provider: 'openai', apiKey: 'sk-test', fetchPageChars: 1000 };
+  const agent = new Agent({ settings, fetch });
+  const fetchUrl = (a, url, page = 1) => toolRegistry.get('fetch_url').handler({ url, page }, { agent: a, settings: a.settings(), fetch: a.fetch });
+
+  const first = await fetchUrl(agent, 'https://example.com/doc', 1);
+  const second = await fetchUrl(agent, 'https://example.com/doc', 2);
+  assert.equal(first.pages, 3);
+  assert.equal(second.page, 2);
+  assert.equal(fetched.length, 1);
+
+  // Another conversation (a separate agent, or the same one after reset) fetches again
+  await fetchUrl(new Agent({ settings, fetch }), 'https://example.com/doc');
+  agent.reset();
+  await fetchUrl(agent, 'https://example.com/doc');
+  assert.equal(fetched.length, 3);
+
+  // 20 pages fit; touching the first keeps it when a 21st arrives
+  for (let i = 1; i < 20; i++) await fetchUrl(agent, `https://example.com/p${i}`);
+  await fetchUrl(agent, 'https://example.com/doc');
+  await fetchUrl(agent, 'https://example.com/p20');
+  assert.equal(agent.fetchedPages.size, 20);
+  assert.ok(agent.fetchedPages.has('https://example.com/doc'));
+  assert.ok(!agent.fetchedPages.has('https://example.com/p1'));
+});